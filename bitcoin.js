@@ -1,25 +1,142 @@
 'use strict';
 
+const fs = require('fs');
+const crypto = require('crypto');
+
 const moment = require('moment');
 
 const Client = require('bitcoin-core');
 
+const { MyError } = require('./errors');
 const logger = require('./logger');
+const metrics = require('./metrics');
 
 let PERF;
 let client;
 let getBlockLapTime = 0;
 let getBlockCounter = 0;
+let zmqSocket;
+let notifiedBlockHash;
+let blockNotificationCallback;
 
 function init(config, perf) {
-	client = new Client(config);
+	const { cookieFile, ...options } = config;
+
+	// Node writes new cookie on every start, so it's read when connecting
+	if (options.username === null) {
+		Object.assign(options, readCookie(cookieFile));
+	}
+
+	client = new Client(options);
 	PERF = perf;
 }
 
+function readCookie(file) {
+	let cookie;
+	try {
+		cookie = fs.readFileSync(file, 'utf8').trim();
+	} catch (error) {
+		throw new MyError(`Reading RPC cookie file "${file}" failed, set RPC username and password or path to the cookie file`, {error});
+	}
+
+	const separator = cookie.indexOf(':');
+	if (separator < 0) {
+		throw new MyError(`Invalid RPC cookie file "${file}"`);
+	}
+
+	return {username: cookie.slice(0, separator), password: cookie.slice(separator + 1)};
+}
+
+// Returns false when ZMQ isn't available, follow mode then only polls. ZMQ module can be given in place of zeromq package.
+function subscribe(address, topic='hashblock', zmq=loadZMQ()) {
+	if (!zmq) {
+		return false;
+	}
+
+	zmqSocket = zmq.socket('sub');
+
+	zmqSocket.on('message', (messageTopic, message) => {
+		let hash;
+		if (messageTopic.toString() === 'hashblock') {
+			hash = message.toString('hex');
+		} else if (messageTopic.toString() === 'rawblock') {
+			hash = getBlockHeaderHash(message.slice(0, 80));
+		} else {
+			return;
+		}
+
+		logger.debug1(`Received ZMQ notification about block "${hash}"`);
+
+		if (blockNotificationCallback) {
+			blockNotificationCallback(hash);
+		} else {
+			notifiedBlockHash = hash;
+		}
+	});
+	zmqSocket.on('connect', () => logger.info1(`Connected to ZMQ publisher ${address}`));
+	zmqSocket.on('disconnect', () => logger.warning(`Disconnected from ZMQ publisher ${address}, polling for new blocks`));
+	zmqSocket.monitor(1000, 0);
+
+	zmqSocket.connect(address);
+	zmqSocket.subscribe(topic);
+
+	return true;
+}
+
+// Closes ZMQ subscription, waiting for block falls back to polling
+function unsubscribe() {
+	if (zmqSocket) {
+		zmqSocket.close();
+		zmqSocket = null;
+	}
+	notifiedBlockHash = null;
+}
+
+// Optional dependency (zeromq 5), it's needed only for ZMQ notifications
+function loadZMQ() {
+	let zmq;
+	try {
+		zmq = require('zeromq');
+	} catch (error) {
+		logger.warning(`Package "zeromq" can't be loaded (${error.message.split('\n')[0]}), polling for new blocks instead of ZMQ notifications`);
+		return null;
+	}
+	if (typeof zmq.socket !== 'function') {
+		logger.warning('Package "zeromq" has unsupported version (5 is needed), polling for new blocks instead of ZMQ notifications');
+		return null;
+	}
+
+	return zmq;
+}
+
+function waitForBlock(timeout) {
+	return new Promise((resolve) => {
+		if (notifiedBlockHash) {
+			const hash = notifiedBlockHash;
+			notifiedBlockHash = null;
+			return resolve(hash);
+		}
+
+		const timer = setTimeout(() => {
+			blockNotificationCallback = null;
+			resolve();
+		}, timeout);
+
+		if (zmqSocket) {
+			blockNotificationCallback = (hash) => {
+				clearTimeout(timer);
+				blockNotificationCallback = null;
+				resolve(hash);
+			};
+		}
+	});
+}
+
 async function getBlock(hash) {
 	let time = moment();
 
-	let block = await client.getBlock(hash, 2);
+	// Verbosity 3 adds spent outputs (prevout) since Bitcoin Core 23, older versions treat it as 2
+	let block = await request('getblock', () => client.getBlock(hash, 3));
 
 	getBlockLapTime += moment.duration(moment().diff(time)).asMilliseconds();
 
@@ -33,9 +150,24 @@ async function getBlock(hash) {
 	return block;
 }
 
+function request(method, send) {
+	return metrics.time('rpc_request_duration_seconds', {method}, send);
+}
+
+function getBlockHeaderHash(header) {
+	const hash = crypto.createHash('sha256').update(crypto.createHash('sha256').update(header).digest()).digest();
+	return Buffer.from(hash).reverse().toString('hex');
+}
+
 module.exports = {
-	getBestBlockHash: () => client.getBestBlockHash(),
-    getBlockHash: (hash) => client.getBlockHash(hash),
+	getBestBlockHash: () => request('getbestblockhash', () => client.getBestBlockHash()),
+    getBlockHash: (height) => request('getblockhash', () => client.getBlockHash(height)),
+	getRawMempool: () => request('getrawmempool', () => client.getRawMemPool(true)),
+	// One batch request, transactions which can't be returned are errors in the result
+	getRawTransactions: (txids) => request('getrawtransaction', () => client.command(txids.map((txid) => ({method: 'getrawtransaction', parameters: [txid, true]})))),
 	init,
+	subscribe,
+	unsubscribe,
+	waitForBlock,
     getBlock 
 };
\ No newline at end of file
@@ -0,0 +1,127 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const childProcess = require('child_process');
+const EventEmitter = require('events');
+
+const logger = require('./logger');
+const bitcoin = require('./bitcoin');
+
+let zeromqError = null;
+try {
+	require('zeromq');
+} catch (error) {
+	zeromqError = error;
+}
+
+logger.init(0, 0);
+
+const GENESIS_HASH = '0f9188f13cb7b2c71f2a335e3a4fc328bf5beb436012afca590b1a11466e2206';
+
+// Stand-in for zeromq 5 module, its subscriber socket records calls and emits what the test asks for
+function createZMQ () {
+	const socket = new EventEmitter();
+	socket.calls = [];
+	for (const method of ['monitor', 'connect', 'subscribe', 'close']) {
+		socket[method] = (...args) => socket.calls.push([method].concat(args));
+	}
+	return {
+		socket: (type) => {
+			socket.type = type;
+			return socket;
+		},
+		subscriber: socket
+	};
+}
+
+// Header of regtest genesis block
+function getGenesisHeader () {
+	const header = Buffer.alloc(80);
+	header.writeUInt32LE(1, 0);
+	Buffer.from('4a5e1e4baab89f3a32518a88c31bc87f618f76673e2cc77ab2127b7afdeda33b', 'hex').reverse().copy(header, 36);
+	header.writeUInt32LE(1296688602, 68);
+	header.writeUInt32LE(0x207fffff, 72);
+	header.writeUInt32LE(2, 76);
+	return header;
+}
+
+test('waiting for block without ZMQ times out, so the caller polls', async () => {
+	const start = Date.now();
+	assert.strictEqual(await bitcoin.waitForBlock(100), undefined);
+	assert.ok(Date.now() - start >= 90);
+});
+
+test('waiting for block wakes on ZMQ notification', async () => {
+	const zmq = createZMQ();
+	try {
+		assert.strictEqual(bitcoin.subscribe('tcp://127.0.0.1:28332', 'hashblock', zmq), true);
+		assert.strictEqual(zmq.subscriber.type, 'sub');
+		assert.deepStrictEqual(zmq.subscriber.calls.slice(1), [['connect', 'tcp://127.0.0.1:28332'], ['subscribe', 'hashblock']]);
+
+		const start = Date.now();
+		const waiting = bitcoin.waitForBlock(10000);
+		zmq.subscriber.emit('message', Buffer.from('hashblock'), Buffer.from(GENESIS_HASH, 'hex'), Buffer.alloc(4));
+		assert.strictEqual(await waiting, GENESIS_HASH);
+		assert.ok(Date.now() - start < 1000);
+
+		// Notification which comes before waiting isn't lost, other topics are ignored
+		zmq.subscriber.emit('message', Buffer.from('rawblock'), Buffer.concat([getGenesisHeader(), Buffer.from('01', 'hex')]), Buffer.alloc(4));
+		zmq.subscriber.emit('message', Buffer.from('hashtx'), Buffer.alloc(32), Buffer.alloc(4));
+		assert.strictEqual(await bitcoin.waitForBlock(10000), GENESIS_HASH);
+	} finally {
+		bitcoin.unsubscribe();
+	}
+	assert.deepStrictEqual(zmq.subscriber.calls[zmq.subscriber.calls.length - 1], ['close']);
+});
+
+test('waiting for block falls back to polling when no ZMQ notification comes in time', async () => {
+	const zmq = createZMQ();
+	try {
+		bitcoin.subscribe('tcp://127.0.0.1:28332', 'hashblock', zmq);
+		zmq.subscriber.emit('disconnect');
+
+		assert.strictEqual(await bitcoin.waitForBlock(100), undefined);
+		// Late notification wakes the next wait
+		zmq.subscriber.emit('message', Buffer.from('hashblock'), Buffer.from(GENESIS_HASH, 'hex'), Buffer.alloc(4));
+		assert.strictEqual(await bitcoin.waitForBlock(10000), GENESIS_HASH);
+	} finally {
+		bitcoin.unsubscribe();
+	}
+});
+
+test('subscribing without zeromq package falls back to polling', {skip: !zeromqError && 'package "zeromq" is installed'}, async () => {
+	assert.strictEqual(bitcoin.subscribe('tcp://127.0.0.1:28332'), false);
+	assert.strictEqual(await bitcoin.waitForBlock(100), undefined);
+});
+
+test('waiting for block wakes on ZMQ notification and times out after the last one', {skip: zeromqError && 'package "zeromq" isn\'t installed'}, async () => {
+	const fixtures = path.join(__dirname, 'fixtures', 'regtest');
+	const hashes = fs.readdirSync(fixtures).map((file) => file.match(/-([0-9a-f]{64})\.json$/)[1]);
+	const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zmq-'));
+	const file = path.join(dir, 'hashes.txt');
+	fs.writeFileSync(file, hashes.join('\n'));
+	const address = `tcp://127.0.0.1:${20000 + Math.floor(Math.random() * 10000)}`;
+
+	const publisher = childProcess.spawn(process.execPath, [path.join(__dirname, 'zmq-publisher.js'), '-a', address, '-i', '0.2', file], {stdio: 'ignore'});
+	const exited = new Promise((resolve) => publisher.on('exit', resolve));
+	try {
+		assert.strictEqual(bitcoin.subscribe(address), true);
+
+		// Notifications published before the subscription connected are lost
+		const hash = await bitcoin.waitForBlock(10000);
+		assert.ok(hashes.includes(hash), `${hash} isn't a published hash`);
+
+		await exited;
+		// The last notification received after the wake-up is kept for the next wait
+		await bitcoin.waitForBlock(0);
+		assert.strictEqual(await bitcoin.waitForBlock(200), undefined);
+	} finally {
+		bitcoin.unsubscribe();
+		publisher.kill();
+		fs.rmSync(dir, {recursive: true, force: true});
+	}
+});
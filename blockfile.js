@@ -0,0 +1,402 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const cluster = require('cluster');
+
+const moment = require('moment');
+
+const { MyError, bitcoinErrors } = require('./errors');
+
+const logger = require('./logger');
+const script = require('./script');
+
+const MAGICS = [
+	'f9beb4d9', // main
+	'0b110907', // testnet3
+	'0a03cf40', // signet
+	'fabfb5da'  // regtest
+];
+
+const HEADER_SIZE = 80;
+const NULL_HASH = '0'.repeat(64);
+
+let BLOCKS_DIR;
+let PERF;
+let xorKey;
+let chain;
+let heights;
+let fileDescriptors = new Map();
+let getBlockLapTime = 0;
+let getBlockCounter = 0;
+
+function init (datadir, perf) {
+	BLOCKS_DIR = path.join(datadir, 'blocks');
+	PERF = perf;
+	chain = null;
+	heights = null;
+	xorKey = null;
+	for (const fd of fileDescriptors.values()) {
+		fs.closeSync(fd);
+	}
+	fileDescriptors.clear();
+
+	const xorFile = path.join(BLOCKS_DIR, 'xor.dat');
+	if (fs.existsSync(xorFile)) {
+		xorKey = fs.readFileSync(xorFile);
+		if (xorKey.every((byte) => byte === 0)) {
+			xorKey = null;
+		}
+	}
+}
+
+// Block index
+
+function getChain () {
+	if (chain) {
+		return chain;
+	}
+
+	const files = fs.readdirSync(BLOCKS_DIR)
+		.filter((file) => /^blk\d+\.dat$/.test(file))
+		.sort()
+		.map((file) => [file, fs.statSync(path.join(BLOCKS_DIR, file)).size]);
+
+	if (files.length === 0) {
+		throw new MyError(`No block files in "${BLOCKS_DIR}"`);
+	}
+
+	// Scanning all block files takes a while, so master indexes them before forking workers and they read its cache file
+	const cacheFile = path.join(os.tmpdir(),
+		`bitcoin-arangodb-importer-${crypto.createHash('sha256').update(path.resolve(BLOCKS_DIR)).digest('hex').slice(0, 16)}.json`);
+
+	try {
+		const cache = JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
+		// Node only appends blocks, so workers (importing blocks below master's tip) don't need the new ones
+		const current = new Map(files);
+		const valid = cluster.isWorker
+			? cache.files.every(([file, size]) => current.has(file) && size <= current.get(file))
+			: JSON.stringify(cache.files) === JSON.stringify(files);
+		if (valid) {
+			chain = cache.chain;
+		}
+	} catch (error) {
+		if (error.code !== 'ENOENT') {
+			logger.warning(`Reading block index cache "${cacheFile}" failed`, {error});
+		}
+	}
+
+	if (!chain) {
+		chain = buildChain(files.map((file) => file[0]));
+		writeCache(cacheFile, {files, chain});
+	}
+
+	heights = new Map(chain.map((entry, height) => [entry[0], height]));
+
+	return chain;
+}
+
+// Written to temporary file which replaces the cache at once, so nobody reads it half written
+function writeCache (cacheFile, cache) {
+	const temporaryFile = `${cacheFile}.${process.pid}.tmp`;
+	try {
+		fs.writeFileSync(temporaryFile, JSON.stringify(cache));
+		fs.renameSync(temporaryFile, cacheFile);
+	} catch (error) {
+		logger.warning(`Writing block index cache "${cacheFile}" failed`, {error});
+		fs.rmSync(temporaryFile, {force: true});
+	}
+}
+
+// Links blocks by previous block hash and selects the chain with the most work
+function buildChain (files) {
+	logger.info(`Indexing ${files.length} block files in "${BLOCKS_DIR}"`);
+
+	const blocks = new Map();
+	const children = new Map();
+
+	for (const file of files) {
+		const fileSize = fs.statSync(path.join(BLOCKS_DIR, file)).size;
+		let offset = 0;
+
+		while (offset + 8 + HEADER_SIZE <= fileSize) {
+			const prefix = read(file, offset, 8);
+			if (!MAGICS.includes(prefix.toString('hex', 0, 4))) {
+				// Rest of the file is preallocated space
+				break;
+			}
+			const size = prefix.readUInt32LE(4);
+			if (offset + 8 + size > fileSize) {
+				// Block is still being written
+				break;
+			}
+			const header = read(file, offset + 8, HEADER_SIZE);
+			const hash = getHash(header);
+			const previousHash = reverseHex(header.slice(4, 36));
+
+			blocks.set(hash, {file, offset: offset + 8, size, previousHash, bits: header.readUInt32LE(72)});
+			if (!children.has(previousHash)) {
+				children.set(previousHash, []);
+			}
+			children.get(previousHash).push(hash);
+
+			offset += 8 + size;
+		}
+
+		logger.info1(`Indexed block file "${file}" (${blocks.size} blocks so far)`);
+	}
+
+	let tip;
+	const queue = (children.get(NULL_HASH) || []).map((hash) => ({hash, height: 0, work: getWork(blocks.get(hash).bits)}));
+	for (const node of queue) {
+		blocks.get(node.hash).height = node.height;
+		if (!tip || node.work > tip.work) {
+			tip = node;
+		}
+		for (const child of children.get(node.hash) || []) {
+			queue.push({hash: child, height: node.height + 1, work: node.work + getWork(blocks.get(child).bits)});
+		}
+	}
+
+	if (!tip) {
+		throw new MyError(`No genesis block in "${BLOCKS_DIR}"`);
+	}
+
+	const result = new Array(tip.height + 1);
+	for (let hash = tip.hash; hash !== NULL_HASH; hash = blocks.get(hash).previousHash) {
+		const block = blocks.get(hash);
+		result[block.height] = [hash, block.file, block.offset, block.size];
+	}
+
+	logger.info(`Indexed ${blocks.size} blocks, best chain has ${result.length} blocks`);
+
+	return result;
+}
+
+function getWork (bits) {
+	const exponent = bits >>> 24;
+	const mantissa = BigInt(bits & 0x007fffff);
+	const target = exponent <= 3 ? mantissa >> BigInt(8 * (3 - exponent)) : mantissa << BigInt(8 * (exponent - 3));
+	return (BigInt(1) << BigInt(256)) / (target + BigInt(1));
+}
+
+// Block parsing
+
+function getBlock (hash) {
+	let time = moment();
+
+	getChain();
+
+	const height = heights.get(hash);
+	if (height === undefined) {
+		throw new MyError(`Block "${hash}" is not in the best chain in "${BLOCKS_DIR}"`);
+	}
+
+	const [, file, offset, size] = chain[height];
+	const block = parseBlock(read(file, offset, size));
+	block.height = height;
+	if (height > 0) {
+		block.previousblockhash = chain[height - 1][0];
+	}
+	if (height + 1 < chain.length) {
+		block.nextblockhash = chain[height + 1][0];
+	}
+
+	getBlockLapTime += moment.duration(moment().diff(time)).asMilliseconds();
+
+	getBlockCounter++;
+
+	if (PERF >= 2 && getBlockCounter % 1000 === 0) {
+		logger.info(`1k getBlock in ${getBlockLapTime / 1000} seconds`);
+		getBlockLapTime = 0;
+	}
+
+	return block;
+}
+
+// Returns block in the same structure as RPC getblock with verbosity 2
+function parseBlock (buffer) {
+	const reader = new Reader(buffer);
+	const header = reader.read(HEADER_SIZE);
+
+	const block = {
+		hash: getHash(header),
+		size: buffer.length,
+		version: header.readInt32LE(0),
+		merkleroot: reverseHex(header.slice(36, 68)),
+		time: header.readUInt32LE(68),
+		bits: header.readUInt32LE(72).toString(16).padStart(8, '0'),
+		nonce: header.readUInt32LE(76),
+		tx: []
+	};
+
+	const numTransactions = reader.readVarInt();
+	for (let i = 0; i < numTransactions; i++) {
+		block.tx.push(parseTransaction(reader));
+	}
+
+	return block;
+}
+
+function parseTransaction (reader) {
+	const start = reader.offset;
+	const version = reader.readInt32LE();
+
+	let segwit = false;
+	if (reader.peek() === 0x00 && reader.peek(1) === 0x01) {
+		segwit = true;
+		reader.skip(2);
+	}
+	const inputsStart = reader.offset;
+
+	const vin = [];
+	const numInputs = reader.readVarInt();
+	for (let i = 0; i < numInputs; i++) {
+		const previousHash = reverseHex(reader.read(32));
+		const previousIndex = reader.readUInt32LE();
+		const scriptSig = reader.read(reader.readVarInt()).toString('hex');
+		const sequence = reader.readUInt32LE();
+
+		if (previousHash === NULL_HASH && previousIndex === 0xffffffff) {
+			vin.push({coinbase: scriptSig, sequence});
+		} else {
+			vin.push({txid: previousHash, vout: previousIndex, scriptSig: {hex: scriptSig}, sequence});
+		}
+	}
+
+	const vout = [];
+	const numOutputs = reader.readVarInt();
+	for (let n = 0; n < numOutputs; n++) {
+		const value = reader.readUInt64LE();
+		vout.push({
+			value: value / 1e8,
+			n,
+			scriptPubKey: script.decodeScriptPubKey(reader.read(reader.readVarInt()))
+		});
+	}
+	const outputsEnd = reader.offset;
+
+	if (segwit) {
+		for (const input of vin) {
+			const witness = [];
+			const numItems = reader.readVarInt();
+			for (let i = 0; i < numItems; i++) {
+				witness.push(reader.read(reader.readVarInt()).toString('hex'));
+			}
+			if (witness.length > 0) {
+				input.txinwitness = witness;
+			}
+		}
+	}
+	const locktimeStart = reader.offset;
+	const locktime = reader.readUInt32LE();
+
+	const raw = reader.buffer.slice(start, reader.offset);
+	// Transaction id doesn't cover segwit marker, flag and witness data
+	const stripped = segwit ? Buffer.concat([
+		reader.buffer.slice(start, start + 4),
+		reader.buffer.slice(inputsStart, outputsEnd),
+		reader.buffer.slice(locktimeStart, reader.offset)
+	]) : raw;
+
+	return {
+		txid: getHash(stripped),
+		hash: getHash(raw),
+		version,
+		size: raw.length,
+		locktime,
+		vin,
+		vout
+	};
+}
+
+class Reader {
+	constructor (buffer) {
+		this.buffer = buffer;
+		this.offset = 0;
+	}
+
+	peek (offset = 0) {
+		return this.buffer[this.offset + offset];
+	}
+
+	skip (length) {
+		this.offset += length;
+	}
+
+	read (length) {
+		if (this.offset + length > this.buffer.length) {
+			throw new MyError(`Unexpected end of block data at offset ${this.offset}`);
+		}
+		const ret = this.buffer.slice(this.offset, this.offset + length);
+		this.offset += length;
+		return ret;
+	}
+
+	readInt32LE () {
+		return this.read(4).readInt32LE(0);
+	}
+
+	readUInt32LE () {
+		return this.read(4).readUInt32LE(0);
+	}
+
+	readUInt64LE () {
+		const buffer = this.read(8);
+		return buffer.readUInt32LE(0) + buffer.readUInt32LE(4) * 0x100000000;
+	}
+
+	readVarInt () {
+		const first = this.read(1)[0];
+		if (first < 0xfd) {
+			return first;
+		} else if (first === 0xfd) {
+			return this.read(2).readUInt16LE(0);
+		} else if (first === 0xfe) {
+			return this.readUInt32LE();
+		} else {
+			return this.readUInt64LE();
+		}
+	}
+}
+
+// Utility functions
+
+function read (file, offset, length) {
+	if (!fileDescriptors.has(file)) {
+		fileDescriptors.set(file, fs.openSync(path.join(BLOCKS_DIR, file), 'r'));
+	}
+
+	const buffer = Buffer.alloc(length);
+	fs.readSync(fileDescriptors.get(file), buffer, 0, length, offset);
+
+	if (xorKey) {
+		for (let i = 0; i < length; i++) {
+			buffer[i] ^= xorKey[(offset + i) % xorKey.length];
+		}
+	}
+
+	return buffer;
+}
+
+function getHash (data) {
+	return reverseHex(crypto.createHash('sha256').update(crypto.createHash('sha256').update(data).digest()).digest());
+}
+
+function reverseHex (buffer) {
+	return Buffer.from(buffer).reverse().toString('hex');
+}
+
+module.exports = {
+	init,
+	getBestBlockHash: async () => getChain()[getChain().length - 1][0],
+	getBlockHash: async (height) => {
+		if (height < 0 || height >= getChain().length) {
+			throw new MyError(`Block height ${height} out of range`, {code: bitcoinErrors.RPC_INVALID_PARAMETER.code});
+		}
+		return getChain()[height][0];
+	},
+	getBlock: async (hash) => getBlock(hash)
+};
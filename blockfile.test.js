@@ -0,0 +1,192 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { bitcoinErrors } = require('./errors');
+
+const logger = require('./logger');
+const networks = require('./networks');
+const script = require('./script');
+const blockfile = require('./blockfile');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'regtest');
+const MAGIC = Buffer.from('fabfb5da', 'hex');
+const XOR_KEY = Buffer.from('5a1fc3e800b2d417', 'hex');
+const TMPDIR = os.tmpdir();
+
+logger.init(0, 0);
+script.init(networks.getNetwork('regtest'));
+
+// Fixture blocks by height, the stale one is apart
+const fixtures = fs.readdirSync(FIXTURES).sort().map((file) => JSON.parse(fs.readFileSync(path.join(FIXTURES, file), 'utf8')));
+const chain = fixtures.filter((block) => block.confirmations > 0);
+const stale = fixtures.find((block) => block.confirmations < 0);
+
+let dir;
+
+test.beforeEach(() => {
+	// Block index cache is written to the temporary directory
+	dir = fs.mkdtempSync(path.join(TMPDIR, 'blockfile-'));
+	process.env.TMPDIR = dir;
+	fs.mkdirSync(path.join(dir, 'blocks'));
+});
+
+test.afterEach(() => {
+	fs.rmSync(dir, {recursive: true, force: true});
+});
+
+function getHeader ({ version, previousblockhash, merkleroot, time, bits, nonce }) {
+	const header = Buffer.alloc(80);
+	header.writeInt32LE(version, 0);
+	if (previousblockhash) {
+		Buffer.from(previousblockhash, 'hex').reverse().copy(header, 4);
+	}
+	Buffer.from(merkleroot, 'hex').reverse().copy(header, 36);
+	header.writeUInt32LE(time, 68);
+	header.writeUInt32LE(parseInt(bits, 16), 72);
+	header.writeUInt32LE(nonce, 76);
+	return header;
+}
+
+function serializeBlock (block) {
+	return Buffer.concat([getHeader(block), Buffer.from([block.tx.length])].concat(block.tx.map((tx) => Buffer.from(tx.hex, 'hex'))));
+}
+
+// Block file entries have network magic and size before the block
+function writeBlockFile (name, blocks, { tail = Buffer.alloc(0), xor = false } = {}) {
+	const data = Buffer.concat(blocks.map((block) => {
+		const size = Buffer.alloc(4);
+		size.writeUInt32LE(block.length);
+		return Buffer.concat([MAGIC, size, block]);
+	}).concat(tail));
+	if (xor) {
+		for (let i = 0; i < data.length; i++) {
+			data[i] ^= XOR_KEY[i % XOR_KEY.length];
+		}
+	}
+	fs.writeFileSync(path.join(dir, 'blocks', name), data);
+}
+
+// Fields which the block file parser gives the same as RPC getblock
+function toParsedBlock (block) {
+	const parsed = {
+		hash: block.hash,
+		size: block.size,
+		version: block.version,
+		merkleroot: block.merkleroot,
+		time: block.time,
+		bits: block.bits,
+		nonce: block.nonce,
+		height: block.height,
+		tx: block.tx.map((tx) => ({
+			txid: tx.txid,
+			hash: tx.hash,
+			version: tx.version,
+			size: tx.size,
+			locktime: tx.locktime,
+			vin: tx.vin.map((input) => {
+				const parsedInput = Object.assign({}, input);
+				if (input.scriptSig) {
+					parsedInput.scriptSig = {hex: input.scriptSig.hex};
+				}
+				return parsedInput;
+			}),
+			vout: tx.vout.map((output) => ({
+				value: output.value,
+				n: output.n,
+				scriptPubKey: Object.assign({hex: output.scriptPubKey.hex, type: output.scriptPubKey.type},
+					output.scriptPubKey.address ? {address: output.scriptPubKey.address} : {})
+			}))
+		}))
+	};
+	for (const field of ['previousblockhash', 'nextblockhash']) {
+		if (block[field]) {
+			parsed[field] = block[field];
+		}
+	}
+	return parsed;
+}
+
+async function assertChain () {
+	assert.strictEqual(await blockfile.getBestBlockHash(), chain[chain.length - 1].hash);
+	for (const block of chain) {
+		assert.strictEqual(await blockfile.getBlockHash(block.height), block.hash);
+		assert.deepStrictEqual(await blockfile.getBlock(block.hash), toParsedBlock(block));
+	}
+}
+
+test('blocks in block files are the same as from RPC, stale branch is left out', async () => {
+	// Stale block comes before the main chain block at the same height, like when the node reorganizes
+	writeBlockFile('blk00000.dat', chain.slice(0, 3).concat(stale).map(serializeBlock));
+	writeBlockFile('blk00001.dat', chain.slice(3).map(serializeBlock));
+	blockfile.init(dir);
+
+	await assertChain();
+	await assert.rejects(blockfile.getBlock(stale.hash), /is not in the best chain/);
+	await assert.rejects(blockfile.getBlockHash(chain.length), {code: bitcoinErrors.RPC_INVALID_PARAMETER.code});
+});
+
+test('segwit transactions have transaction id without witness', async () => {
+	writeBlockFile('blk00000.dat', chain.map(serializeBlock));
+	blockfile.init(dir);
+
+	const block = await blockfile.getBlock(chain[3].hash);
+	const spend = block.tx[1];
+	assert.notStrictEqual(spend.txid, spend.hash);
+	assert.strictEqual(spend.vin[0].txinwitness.length, 2);
+	// Legacy input of segwit transaction has no witness
+	assert.ok(!spend.vin[1].hasOwnProperty('txinwitness'));
+	// Script longer than 252 bytes has 3 bytes long size
+	assert.strictEqual((await blockfile.getBlock(chain[4].hash)).tx[1].vout[2].scriptPubKey.hex.length, 2 * 264);
+});
+
+test('block files obfuscated by xor.dat are read', async () => {
+	fs.writeFileSync(path.join(dir, 'blocks', 'xor.dat'), XOR_KEY);
+	writeBlockFile('blk00000.dat', chain.slice(0, 2).map(serializeBlock), {xor: true});
+	// Obfuscation key continues from the start of every file
+	writeBlockFile('blk00001.dat', chain.slice(2).map(serializeBlock), {xor: true});
+	blockfile.init(dir);
+
+	await assertChain();
+});
+
+test('preallocated and partly written ends of block files are skipped', async () => {
+	const partial = Buffer.concat([MAGIC, Buffer.from([0xff, 0xff, 0, 0]), serializeBlock(chain[4]).slice(0, 100)]);
+	writeBlockFile('blk00000.dat', chain.slice(0, 4).map(serializeBlock), {tail: partial});
+	writeBlockFile('blk00001.dat', [], {tail: Buffer.alloc(4096)});
+	blockfile.init(dir);
+
+	assert.strictEqual(await blockfile.getBestBlockHash(), chain[3].hash);
+	assert.ok(!(await blockfile.getBlock(chain[3].hash)).hasOwnProperty('nextblockhash'));
+});
+
+test('chain with the most work wins over the longer one', async () => {
+	// Block at height 3 with mainnet's difficulty, its proof of work isn't checked
+	const header = getHeader(Object.assign({}, stale, {bits: '1d00ffff'}));
+	writeBlockFile('blk00000.dat', chain.map(serializeBlock).concat(Buffer.concat([header, Buffer.from([0])])));
+	blockfile.init(dir);
+
+	const best = await blockfile.getBlock(await blockfile.getBestBlockHash());
+	assert.strictEqual(best.height, 3);
+	assert.strictEqual(best.previousblockhash, chain[2].hash);
+	assert.strictEqual(best.bits, '1d00ffff');
+	assert.strictEqual(await blockfile.getBlockHash(2), chain[2].hash);
+	await assert.rejects(blockfile.getBlockHash(4), {code: bitcoinErrors.RPC_INVALID_PARAMETER.code});
+});
+
+test('block index is cached until block files change', async () => {
+	writeBlockFile('blk00000.dat', chain.slice(0, 3).map(serializeBlock));
+	blockfile.init(dir);
+	assert.strictEqual(await blockfile.getBestBlockHash(), chain[2].hash);
+	assert.deepStrictEqual(fs.readdirSync(dir).filter((file) => file.endsWith('.json')).length, 1);
+	assert.deepStrictEqual(fs.readdirSync(dir).filter((file) => file.endsWith('.tmp')), []);
+
+	// Node appended blocks
+	writeBlockFile('blk00000.dat', chain.map(serializeBlock));
+	blockfile.init(dir);
+	assert.strictEqual(await blockfile.getBestBlockHash(), chain[chain.length - 1].hash);
+});
@@ -0,0 +1,220 @@
+'use strict';
+
+const { MyError } = require('./errors');
+
+// Address clustering: addresses spent together in a transaction (common-input-ownership) belong to one entity
+// and so does change output found by the selected heuristics. Clusters are merged with union-find.
+
+// In satoshis
+const ROUND_VALUE = 100000;
+// Transactions with so many outputs of equal value look like CoinJoin, whose inputs belong to different entities
+const COINJOIN_EQUAL_OUTPUTS = 3;
+// Clusters are nodes of union-find next to addresses
+const CLUSTER_PREFIX = 'clusters/';
+
+// Change output heuristics, change is linked only when all selected heuristics point to the same output
+const HEURISTICS = {
+	// The only output whose address receives for the first time
+	'fresh-address': (transaction, candidates) => single(candidates.filter((output) => output.fresh)),
+	// The only output with the same script type as all inputs
+	'script-type': (transaction, candidates) => {
+		const types = new Set(transaction.inputs.map((input) => input.scriptType));
+		return types.size === 1 ? single(candidates.filter((output) => types.has(output.scriptType))) : null;
+	},
+	// The only output which isn't a round value (multiple of 0.001 BTC), payments usually are
+	'round-value': (transaction, candidates) => {
+		const notRound = candidates.filter((output) => output.value % ROUND_VALUE !== 0);
+		return notRound.length < candidates.length ? single(notRound) : null;
+	}
+};
+
+class UnionFind {
+	constructor () {
+		this.parents = new Map();
+		this.sizes = new Map();
+	}
+
+	find (node) {
+		if (!this.parents.has(node)) {
+			this.parents.set(node, node);
+			this.sizes.set(node, 1);
+			return node;
+		}
+
+		let root = node;
+		while (this.parents.get(root) !== root) {
+			root = this.parents.get(root);
+		}
+		// Path compression
+		while (node !== root) {
+			const parent = this.parents.get(node);
+			this.parents.set(node, root);
+			node = parent;
+		}
+
+		return root;
+	}
+
+	// Smaller set is attached to the bigger one
+	union (a, b) {
+		let rootA = this.find(a);
+		let rootB = this.find(b);
+		if (rootA === rootB) {
+			return rootA;
+		}
+		if (this.sizes.get(rootA) < this.sizes.get(rootB)) {
+			[rootA, rootB] = [rootB, rootA];
+		}
+		this.parents.set(rootB, rootA);
+		this.sizes.set(rootA, this.sizes.get(rootA) + this.sizes.get(rootB));
+
+		return rootA;
+	}
+
+	getSets () {
+		const sets = new Map();
+		for (const node of this.parents.keys()) {
+			const root = this.find(node);
+			if (!sets.has(root)) {
+				sets.set(root, []);
+			}
+			sets.get(root).push(node);
+		}
+
+		return Array.from(sets.values());
+	}
+}
+
+// Returns groups of addresses owned by one entity, inputs and outputs are those of blocks being clustered
+// (values in satoshis), inputs and outputs with more than one address (multisig) are left out as they're shared
+function getLinks (inputs, outputs, { changeHeuristics = [], skipCoinJoins = true } = {}) {
+	for (const name of changeHeuristics) {
+		if (!HEURISTICS.hasOwnProperty(name)) {
+			throw new MyError(`Unknown change heuristic "${name}", use some of: ${Object.keys(HEURISTICS).join(', ')}`);
+		}
+	}
+
+	const transactions = new Map();
+	const getTransaction = (txid) => {
+		if (!transactions.has(txid)) {
+			transactions.set(txid, {txid, inputs: [], outputs: []});
+		}
+		return transactions.get(txid);
+	};
+	for (const input of inputs) {
+		getTransaction(input.txid).inputs.push(input);
+		getTransaction(input.txid).height = input.height;
+	}
+	for (const output of outputs) {
+		getTransaction(output.txid).outputs.push(output);
+	}
+
+	const links = [];
+	for (const transaction of transactions.values()) {
+		// Coinbase and unconfirmed transactions have no spent outputs in the blocks
+		if (transaction.inputs.length === 0) {
+			continue;
+		}
+		if (skipCoinJoins && transaction.inputs.length > 1 && isCoinJoin(transaction)) {
+			continue;
+		}
+
+		const addresses = new Set(transaction.inputs.filter((input) => input.addresses.length === 1).map((input) => input.addresses[0]));
+		const change = getChange(transaction, addresses, changeHeuristics);
+		if (change) {
+			addresses.add(change.addresses[0]);
+		}
+		if (addresses.size > 1) {
+			links.push({addresses: Array.from(addresses), height: transaction.height});
+		}
+	}
+
+	return links;
+}
+
+// Plans writes of clusters joined by the links. Memberships map addresses to their current clusters,
+// clusters map keys to {size, firstHeight, lastHeight}. The biggest joined cluster survives, the others
+// are kept with size 0 and reference to it. New cluster has key of its smallest address.
+function planClusters (links, memberships, clusters) {
+	const unionFind = new UnionFind();
+
+	for (const link of links) {
+		for (const address of link.addresses) {
+			unionFind.union(link.addresses[0], address);
+			if (memberships.has(address)) {
+				unionFind.union(address, CLUSTER_PREFIX + memberships.get(address));
+			}
+		}
+	}
+
+	const heights = new Map();
+	for (const link of links) {
+		const root = unionFind.find(link.addresses[0]);
+		const range = heights.get(root) || {firstHeight: link.height, lastHeight: link.height};
+		heights.set(root, {firstHeight: Math.min(range.firstHeight, link.height), lastHeight: Math.max(range.lastHeight, link.height)});
+	}
+
+	const plan = {clusters: [], edges: [], merged: []};
+	for (const set of unionFind.getSets()) {
+		const keys = set.filter((node) => node.startsWith(CLUSTER_PREFIX)).map((node) => node.slice(CLUSTER_PREFIX.length))
+			.sort((a, b) => clusters.get(b).size - clusters.get(a).size || (a < b ? -1 : 1));
+		const newAddresses = set.filter((node) => !node.startsWith(CLUSTER_PREFIX) && !memberships.has(node)).sort();
+		if (keys.length === 1 && newAddresses.length === 0) {
+			continue;
+		}
+
+		const key = keys.length > 0 ? keys[0] : newAddresses[0];
+		const range = heights.get(unionFind.find(set[0]));
+		const existing = keys.map((clusterKey) => clusters.get(clusterKey));
+		plan.clusters.push({
+			_key: key,
+			size: existing.reduce((size, cluster) => size + cluster.size, newAddresses.length),
+			firstHeight: Math.min(range.firstHeight, ...existing.map((cluster) => cluster.firstHeight)),
+			lastHeight: Math.max(range.lastHeight, ...existing.map((cluster) => cluster.lastHeight))
+		});
+		for (const merged of keys.slice(1)) {
+			plan.clusters.push({_key: merged, size: 0, mergedInto: key});
+			plan.merged.push({cluster: merged, into: key});
+		}
+		for (const address of newAddresses) {
+			plan.edges.push({address, cluster: key});
+		}
+	}
+
+	return plan;
+}
+
+// Utility functions
+
+function getChange (transaction, inputAddresses, changeHeuristics) {
+	// Change sent back to an input address is already in the cluster
+	if (changeHeuristics.length === 0 || transaction.outputs.length < 2 ||
+		transaction.outputs.some((output) => output.addresses.some((address) => inputAddresses.has(address)))) {
+		return null;
+	}
+
+	const candidates = transaction.outputs.filter((output) => output.addresses.length === 1);
+	const changes = changeHeuristics.map((name) => HEURISTICS[name](transaction, candidates));
+
+	return changes[0] && changes.every((change) => change === changes[0]) ? changes[0] : null;
+}
+
+function isCoinJoin (transaction) {
+	const counts = new Map();
+	for (const output of transaction.outputs) {
+		counts.set(output.value, (counts.get(output.value) || 0) + 1);
+	}
+
+	return Math.max(0, ...counts.values()) >= COINJOIN_EQUAL_OUTPUTS;
+}
+
+function single (outputs) {
+	return outputs.length === 1 ? outputs[0] : null;
+}
+
+module.exports = {
+	HEURISTICS: Object.keys(HEURISTICS),
+	UnionFind,
+	getLinks,
+	planClusters
+};
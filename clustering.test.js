@@ -0,0 +1,117 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const clustering = require('./clustering');
+
+const input = (txid, address, height = 100, scriptType = 'witness_v0_keyhash') => ({txid, addresses: [address], scriptType, height});
+const output = (txid, address, value, { fresh = false, scriptType = 'witness_v0_keyhash' } = {}) => ({txid, addresses: [address], value, fresh, scriptType});
+
+test('union-find joins sets, the bigger one keeps its root', () => {
+	const unionFind = new clustering.UnionFind();
+
+	unionFind.union('a', 'b');
+	unionFind.union('a', 'c');
+	assert.strictEqual(unionFind.union('d', 'b'), unionFind.find('a'));
+	unionFind.union('e', 'f');
+	assert.strictEqual(unionFind.find('g'), 'g');
+
+	const sets = unionFind.getSets().map((set) => set.sort()).sort();
+	assert.deepStrictEqual(sets, [['a', 'b', 'c', 'd'], ['e', 'f'], ['g']]);
+});
+
+test('inputs of a transaction are linked, coinbase and single address transactions aren\'t', () => {
+	const links = clustering.getLinks([
+		input('tx1', 'a', 101), input('tx1', 'b', 101), input('tx1', 'a', 101),
+		input('tx2', 'c'), input('tx2', 'c')
+	], [
+		output('tx1', 'x', 150000), output('tx2', 'y', 200000), output('coinbase', 'z', 5000000000)
+	]);
+
+	assert.deepStrictEqual(links, [{addresses: ['a', 'b'], height: 101}]);
+});
+
+test('multisig inputs are left out of links', () => {
+	const links = clustering.getLinks([
+		input('tx1', 'a'), input('tx1', 'b'), {txid: 'tx1', addresses: ['c', 'd'], scriptType: 'multisig', height: 100}
+	], []);
+
+	assert.deepStrictEqual(links, [{addresses: ['a', 'b'], height: 100}]);
+});
+
+test('CoinJoin transactions are skipped unless told otherwise', () => {
+	const inputs = [input('tx1', 'a'), input('tx1', 'b'), input('tx1', 'c')];
+	const outputs = [output('tx1', 'x', 1000000), output('tx1', 'y', 1000000), output('tx1', 'z', 1000000)];
+
+	assert.deepStrictEqual(clustering.getLinks(inputs, outputs), []);
+	assert.deepStrictEqual(clustering.getLinks(inputs, outputs, {skipCoinJoins: false}), [{addresses: ['a', 'b', 'c'], height: 100}]);
+});
+
+test('change is linked only when all selected heuristics agree', () => {
+	const inputs = [input('tx1', 'a')];
+	const outputs = [
+		output('tx1', 'payee', 1000000, {scriptType: 'pubkeyhash'}),
+		output('tx1', 'change', 1234567, {fresh: true})
+	];
+
+	assert.deepStrictEqual(clustering.getLinks(inputs, outputs), []);
+	assert.deepStrictEqual(clustering.getLinks(inputs, outputs, {changeHeuristics: ['fresh-address', 'script-type', 'round-value']}),
+		[{addresses: ['a', 'change'], height: 100}]);
+
+	// Both outputs are fresh
+	outputs[0].fresh = true;
+	assert.deepStrictEqual(clustering.getLinks(inputs, outputs, {changeHeuristics: ['fresh-address', 'round-value']}), []);
+	assert.deepStrictEqual(clustering.getLinks(inputs, outputs, {changeHeuristics: ['round-value']}),
+		[{addresses: ['a', 'change'], height: 100}]);
+});
+
+test('change isn\'t guessed when a transaction pays back to an input address', () => {
+	const links = clustering.getLinks([input('tx1', 'a'), input('tx1', 'b')], [
+		output('tx1', 'a', 1234567), output('tx1', 'fresh', 1234568, {fresh: true})
+	], {changeHeuristics: ['fresh-address']});
+
+	assert.deepStrictEqual(links, [{addresses: ['a', 'b'], height: 100}]);
+});
+
+test('unknown change heuristic fails', () => {
+	assert.throws(() => clustering.getLinks([], [], {changeHeuristics: ['biggest-output']}), /Unknown change heuristic "biggest-output"/);
+});
+
+test('new cluster gets key of its smallest address', () => {
+	const plan = clustering.planClusters([{addresses: ['c', 'b'], height: 5}, {addresses: ['c', 'd'], height: 3}], new Map(), new Map());
+
+	assert.deepStrictEqual(plan, {
+		clusters: [{_key: 'b', size: 3, firstHeight: 3, lastHeight: 5}],
+		edges: [{address: 'b', cluster: 'b'}, {address: 'c', cluster: 'b'}, {address: 'd', cluster: 'b'}],
+		merged: []
+	});
+});
+
+test('joined clusters are merged into the biggest one', () => {
+	const memberships = new Map([['a', 'a'], ['b', 'a'], ['c', 'a'], ['x', 'x'], ['y', 'x'], ['q', 'q']]);
+	const clusters = new Map([
+		['a', {size: 3, firstHeight: 10, lastHeight: 20}],
+		['x', {size: 2, firstHeight: 5, lastHeight: 30}],
+		['q', {size: 1, firstHeight: 1, lastHeight: 1}]
+	]);
+
+	const plan = clustering.planClusters([{addresses: ['y', 'b', 'new'], height: 40}, {addresses: ['q', 'c'], height: 2}], memberships, clusters);
+
+	assert.deepStrictEqual(plan, {
+		clusters: [
+			{_key: 'a', size: 7, firstHeight: 1, lastHeight: 40},
+			{_key: 'x', size: 0, mergedInto: 'a'},
+			{_key: 'q', size: 0, mergedInto: 'a'}
+		],
+		edges: [{address: 'new', cluster: 'a'}],
+		merged: [{cluster: 'x', into: 'a'}, {cluster: 'q', into: 'a'}]
+	});
+});
+
+test('links within one cluster change nothing', () => {
+	const memberships = new Map([['a', 'a'], ['b', 'a']]);
+	const clusters = new Map([['a', {size: 2, firstHeight: 1, lastHeight: 1}]]);
+
+	assert.deepStrictEqual(clustering.planClusters([{addresses: ['a', 'b'], height: 2}], memberships, clusters), {clusters: [], edges: [], merged: []});
+});
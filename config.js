@@ -1,16 +1,95 @@
+// Defaults, they're overridden by config file (JSON or YAML), environment variables and command line options (see settings.js)
 const config = {
 	database: {
 		host: 'localhost',
 		port: 8529,
 		database: 'bitcoin',
-		username: 'kuchta',
-		password: 'studna58'
+		username: 'root',
+		password: '',
+		// Connects with HTTPS, CA certificate file is needed for self-signed server certificates
+		https: false,
+		caFile: null
 	},
+	// mainnet, testnet, signet or regtest, database created for one network can't be used with another one
+	network: 'mainnet',
 	bitcoinRPC: {
 		host: 'localhost',
-		username: 'kuchta',
-		password: 'studna58',
+		// Default port of the network
+		port: null,
+		// Without username and password it reads cookie file written by the node (~/.bitcoin/.cookie by default, e.g. ~/.bitcoin/regtest/.cookie on other networks)
+		username: null,
+		password: null,
+		cookieFile: null,
 		timeout: 600000
+	},
+	bitcoinZMQ: {
+		// e.g. 'tcp://127.0.0.1:28332' (bitcoind -zmqpubhashblock)
+		address: null,
+		// hashblock or rawblock
+		topic: 'hashblock'
+	},
+	follow: {
+		interval: 10
+	},
+	// Number of outputs kept in memory for resolving input values
+	utxoCacheSize: 1000000,
+	writes: {
+		// Number of bulk imports in flight, import of blocks waits for a free slot
+		maxPendingImports: 4,
+		// Retries of writes failed with transient error, delay (in milliseconds) doubles with every retry
+		importRetries: 5,
+		importRetryDelay: 1000,
+		// Documents which couldn't be written are appended to this JSONL file for replay command
+		deadLetterFile: 'dead-letters.jsonl'
+	},
+	// HTTP server of master process publishing /metrics (Prometheus), it's started when port is set
+	server: {
+		port: null,
+		host: '127.0.0.1'
+	},
+	logging: {
+		// pretty or json (one object per line with level, timestamp, worker id and context like block height, hash or txid)
+		format: 'pretty',
+		// Log file written besides console, every worker writes its own file (e.g. importer.worker2.log)
+		file: {
+			path: null,
+			format: 'json',
+			// The file is rotated when it would exceed maxSize (in bytes, 0 for no limit) and when interval (hourly or daily) passes
+			maxSize: 104857600,
+			interval: null,
+			// Number of rotated files kept
+			maxFiles: 5
+		}
+	},
+	// Address clustering, it's done when collections clusters and addresses_to_clusters are selected (e.g. by clusters profile)
+	clustering: {
+		// Blocks with fewer confirmations aren't clustered yet, merged clusters can't be split, so deeper chain reorganization computes them again
+		confirmations: 6,
+		// Change output joins the cluster of inputs when all these heuristics find it: fresh-address, script-type, round-value (none for common-input-ownership only)
+		changeHeuristics: ['fresh-address', 'script-type'],
+		// Transactions with several outputs of equal value (CoinJoin) aren't clustered
+		skipCoinJoins: true,
+		// Number of blocks clustered in one query
+		batchSize: 10
+	},
+	// Number of imported blocks between writing out buffered documents, moving checkpoint and updating address balances
+	commitInterval: 100,
+	// Import with several workers (--max-workers option, at most the number of CPUs)
+	workers: {
+		// Heights are assigned to workers in contiguous ranges, the checkpoint moves over a range once the worker writes it out
+		rangeSize: 100,
+		// Worker which doesn't report any block for this many seconds is killed and its range is assigned again
+		stallTimeout: 600,
+		// Number of attempts to import a range before import stops
+		rangeAttempts: 3
+	},
+	// Profile of imported collections selected by --profile option (--collections option lists them directly)
+	profile: 'full',
+	profiles: {
+		full: ['blocks', 'transactions', 'outputs', 'addresses', 'addresses_to_outputs', 'outputs_to_transactions', 'transactions_to_outputs'],
+		transactions: ['blocks', 'transactions'],
+		addresses: ['blocks', 'outputs', 'addresses', 'addresses_to_outputs'],
+		clusters: ['blocks', 'transactions', 'outputs', 'addresses', 'addresses_to_outputs', 'outputs_to_transactions', 'transactions_to_outputs', 'clusters', 'addresses_to_clusters']
 	}
 };
 
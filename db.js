@@ -1,24 +1,36 @@
 'use strict';
 
+const fs = require('fs');
 const util = require('util');
+const crypto = require('crypto');
 
 const setImmediatePromise = util.promisify(setImmediate);
+const setTimeoutPromise = util.promisify(setTimeout);
 
 const moment = require('moment');
 
 const { Database, aql } = require('arangojs');
 
-const { MyError, arangoErrors } = require('./errors');
+const { MyError, arangoErrors, TRANSIENT_ERRORS } = require('./errors');
 
 const logger = require('./logger');
+const metrics = require('./metrics');
+const clustering = require('./clustering');
 
 let DB;
 
+// Compact schema stores `values` as integer satoshis instead of BTC and leaves out `derived` properties
+
 let BLOCKS = {
 	name: 'blocks',
 	entity: 'block',
 	get: 'document',
-	entities: []
+	entities: [],
+	values: ['fees', 'reward'],
+	// Transactions refer to their block
+	derived: ['tx'],
+	indexes: [[['height']]],
+	importOptions: {onDuplicate: 'replace'}
 };
 
 let TRANSACTIONS = {
@@ -26,78 +38,168 @@ let TRANSACTIONS = {
 	entity: 'transaction',
 	get: 'document',
 	entities: [],
+	values: ['fee'],
+	// Sum of outputs and fee
+	derived: ['inputsValue', 'outputsValue'],
+	indexes: [[['unconfirmed'], {sparse: true}], [['height'], {sparse: true}]],
+	importOptions: {onDuplicate: 'replace'}
 };
 
 let OUTPUTS = {
 	name: 'outputs',
 	entity: 'output',
 	get: 'document',
-	entities: []
+	entities: [],
+	values: ['value'],
+	derived: [],
+	indexes: [[['height'], {sparse: true}], [['spentHeight'], {sparse: true}]],
+	// Output and its spend can be written in any order (even by different workers), so they're merged
+	importOptions: {onDuplicate: 'update'}
 };
 
 let ADDRESSES = {
 	name: 'addresses',
 	entity: 'address',
 	get: 'document',
-	entities: []
+	entities: [],
+	values: ['received', 'sent', 'balance'],
+	// Decoded from the address
+	derived: ['hash'],
+	indexes: [[['hash'], {sparse: true}]],
+	// Existing address keeps its balance summary
+	importOptions: {onDuplicate: 'ignore'}
 };
 
 let ADDRESSES_TO_OUTPUTS = {
 	name: 'addresses_to_outputs',
 	entity: 'addresses_to_outputs',
 	get: 'edge',
-	entities: []
+	entities: [],
+	values: [],
+	derived: [],
+	// Edges have deterministic keys, so the same edge is written only once even if block is imported again
+	importOptions: {onDuplicate: 'replace'},
+	from: ADDRESSES,
+	to: OUTPUTS
 };
 
 let OUTPUTS_TO_TRANSACTIONS = {
 	name: 'outputs_to_transactions',
 	entity: 'output_to_transaction',
 	get: 'edge',
-	entities: []
+	entities: [],
+	values: [],
+	derived: [],
+	// Edges have deterministic keys, so the same edge is written only once even if block is imported again
+	importOptions: {onDuplicate: 'replace'},
+	from: OUTPUTS,
+	to: TRANSACTIONS
 };
 
 let TRANSACTIONS_TO_OUTPUTS = {
 	name: 'transactions_to_outputs',
 	entity: 'transaction_to_output',
 	get: 'edge',
+	entities: [],
+	values: [],
+	derived: [],
+	// Edges have deterministic keys, so the same edge is written only once even if block is imported again
+	importOptions: {onDuplicate: 'replace'},
+	from: TRANSACTIONS,
+	to: OUTPUTS
+};
+
+// Addresses owned by one entity (see clustering.js), clusters merged into bigger ones are kept with `mergedInto`
+let CLUSTERS = {
+	name: 'clusters',
+	entity: 'cluster',
+	get: 'document',
+	entities: [],
+	values: [],
+	derived: []
+};
+
+let ADDRESSES_TO_CLUSTERS = {
+	name: 'addresses_to_clusters',
+	entity: 'address_to_cluster',
+	get: 'edge',
+	entities: [],
+	values: [],
+	derived: [],
+	// Address belongs to one cluster, so the edge has key of the address (in both schemas)
+	from: ADDRESSES,
+	to: CLUSTERS
+};
+
+let META = {
+	name: 'meta',
+	entity: 'meta',
+	get: 'document',
 	entities: []
 };
 
+// Edge definitions are made of edge collections (with `from` and `to` entities) selected for import
 let GRAPH = {
 	name: 'graph',
 	properties: {
-		edgeDefinitions: [{
-			collection: ADDRESSES_TO_OUTPUTS.name,
-			from: [ADDRESSES.name],
-			to: [OUTPUTS.name]
-		}, {
-			collection: OUTPUTS_TO_TRANSACTIONS.name,
-			from: [OUTPUTS.name],
-			to: [TRANSACTIONS.name]
-		}, {
-			collection: TRANSACTIONS_TO_OUTPUTS.name,
-			from: [TRANSACTIONS.name],
-			to: [OUTPUTS.name]
-		}]
+		edgeDefinitions: []
 	}
 };
 
+// Collections which can be selected for import, meta collection is always used
+const ENTITIES = [BLOCKS, TRANSACTIONS, OUTPUTS, ADDRESSES, ADDRESSES_TO_OUTPUTS, OUTPUTS_TO_TRANSACTIONS, TRANSACTIONS_TO_OUTPUTS,
+	CLUSTERS, ADDRESSES_TO_CLUSTERS];
+const COLLECTIONS = ENTITIES.map((entity) => entity.name);
+
+// Address statistics are computed from all of them
+const ADDRESS_STATS_ENTITIES = [BLOCKS, OUTPUTS, ADDRESSES, ADDRESSES_TO_OUTPUTS];
+// Clusters are computed from spent outputs and their addresses
+const CLUSTER_SOURCE_ENTITIES = [OUTPUTS, ADDRESSES, ADDRESSES_TO_OUTPUTS];
+const CLUSTER_ENTITIES = CLUSTER_SOURCE_ENTITIES.concat(CLUSTERS, ADDRESSES_TO_CLUSTERS);
+
 let RETRIES;
 let DONT_OVERWRITE;
+let COMPACT = false;
 let PERF;
 let NUM_BUFFERED_DOCUMENTS = 1000;
 
 let saveDocumentCounter = 0;
 let saveDocumentLapTime = 0;
 
-function init(username, password, host, port, database, retries, dontOverwrite, perf) {
+// Bulk imports in flight, buffers wait for a free slot, so memory doesn't grow when database is slower than the node
+const pendingImports = new Set();
+let MAX_PENDING_IMPORTS;
+let IMPORT_RETRIES;
+let IMPORT_RETRY_DELAY;
+let DEAD_LETTER_FILE;
+let numDeadLetters = 0;
+// Error of bulk import which couldn't even save failed documents to dead-letter file, commit() throws it
+let importError = null;
+
+function init({ host, port, database, username, password, https = false, caFile = null }, retries, dontOverwrite, perf, collections=COLLECTIONS,
+		{ maxPendingImports = 4, importRetries = 5, importRetryDelay = 1000, deadLetterFile = 'dead-letters.jsonl' } = {}) {
 	RETRIES = retries;
 	DONT_OVERWRITE = dontOverwrite;
 	PERF = perf;
+	MAX_PENDING_IMPORTS = maxPendingImports;
+	IMPORT_RETRIES = importRetries;
+	IMPORT_RETRY_DELAY = importRetryDelay;
+	DEAD_LETTER_FILE = deadLetterFile;
+
+	for (const name of collections) {
+		if (!COLLECTIONS.includes(name)) {
+			throw new MyError(`Unknown collection "${name}", use some of: ${COLLECTIONS.join(', ')}`);
+		}
+	}
+	for (const entity of ENTITIES) {
+		entity.enabled = collections.includes(entity.name);
+	}
 
 	DB = new Database({
-		url: `http://${username}:${password}@${host}:${port}`,
-		databaseName: database
+		url: `${https ? 'https' : 'http'}://${encodeURIComponent(username)}:${encodeURIComponent(password)}@${host}:${port}`,
+		databaseName: database,
+		// Self-signed server certificate is verified against the given CA certificate
+		agentOptions: caFile ? {ca: fs.readFileSync(caFile)} : undefined
 	});
 
 	BLOCKS.handle = DB.collection('blocks');
@@ -107,28 +209,145 @@ function init(username, password, host, port, database, retries, dontOverwrite,
 	ADDRESSES_TO_OUTPUTS.handle = DB.edgeCollection('addresses_to_outputs');
 	OUTPUTS_TO_TRANSACTIONS.handle = DB.edgeCollection('outputs_to_transactions');
 	TRANSACTIONS_TO_OUTPUTS.handle = DB.edgeCollection('transactions_to_outputs');
+	CLUSTERS.handle = DB.collection('clusters');
+	ADDRESSES_TO_CLUSTERS.handle = DB.edgeCollection('addresses_to_clusters');
+	META.handle = DB.collection('meta');
 	GRAPH.handle = DB.graph('graph');
+
+	metrics.onCollect(() => {
+		for (const entity of ENTITIES.filter((entity) => entity.enabled)) {
+			metrics.set('buffered_documents', {collection: entity.name}, entity.entities.length);
+		}
+		metrics.set('pending_imports', {}, pendingImports.size);
+	});
 }
 
 // Database Logic
 
+// Creates only collections selected for import
 async function initializeDatabase() {
-    await Promise.all([
-		getOrCreateCollection(BLOCKS),
-		getOrCreateCollection(TRANSACTIONS),
-		getOrCreateCollection(OUTPUTS),
-		getOrCreateCollection(ADDRESSES),
-		getOrCreateCollection(ADDRESSES_TO_OUTPUTS),
-		getOrCreateCollection(OUTPUTS_TO_TRANSACTIONS),
-		getOrCreateCollection(TRANSACTIONS_TO_OUTPUTS)
-	]);
-	// await getOrCreateGraph(GRAPH)
+	const entities = ENTITIES.filter((entity) => entity.enabled);
+
+    await Promise.all(entities.concat(META).map(getOrCreateCollection));
+	for (const entity of entities) {
+		for (const [fields, options] of entity.indexes || []) {
+			await createIndex(entity, fields, options);
+		}
+	}
+	// Without edges to spending transactions spent outputs are found by index
+	if (OUTPUTS.enabled && !OUTPUTS_TO_TRANSACTIONS.enabled) {
+		await createIndex(OUTPUTS, ['spentBy'], {sparse: true});
+	}
+
+	GRAPH.properties.edgeDefinitions = entities
+		.filter((entity) => entity.get === 'edge' && entity.from.enabled && entity.to.enabled)
+		.map((entity) => ({collection: entity.name, from: [entity.from.name], to: [entity.to.name]}));
+	if (GRAPH.properties.edgeDefinitions.length > 0) {
+		await getOrCreateGraph(GRAPH);
+	}
+}
+
+// Removes all documents from the given collections, state in meta collection which depends on them is reset
+async function cleanCollections (names) {
+	const existing = (await DB.listCollections()).map((collection) => collection.name);
+	// Clusters are computed from addresses and outputs, so they're cleaned with them
+	if (CLUSTER_SOURCE_ENTITIES.some((entity) => names.includes(entity.name))) {
+		names = names.concat(CLUSTERS.name, ADDRESSES_TO_CLUSTERS.name);
+	}
+	const entities = ENTITIES.filter((entity) => names.includes(entity.name) && existing.includes(entity.name));
+
+	for (const entity of entities) {
+		logger.info1(`Truncating collection "${entity.name}"`);
+		try {
+			await entity.handle.truncate();
+		} catch (error) {
+			throw new MyError(`Truncating collection "${entity.name}" failed`, {error});
+		}
+	}
+
+	if (!existing.includes(META.name)) {
+		return entities.map((entity) => entity.name);
+	}
+	if (COLLECTIONS.every((name) => names.includes(name) || !existing.includes(name))) {
+		// Empty database can be imported with any schema and for any network
+		await META.handle.truncate();
+	} else {
+		// Import starts from the beginning, balances are computed again from the first block
+		if (names.includes(BLOCKS.name)) {
+			await removeMeta('checkpoint');
+			await removeMeta('ranges');
+		}
+		if (names.includes(ADDRESSES.name)) {
+			await removeMeta('addresses');
+		}
+		if (names.includes(CLUSTERS.name)) {
+			await removeMeta('clusters');
+		}
+	}
+
+	return entities.map((entity) => entity.name);
+}
+
+// Returns number of documents in each collection, null for collections which don't exist
+async function getCollectionCounts () {
+	const existing = (await DB.listCollections()).map((collection) => collection.name);
+	const counts = {};
+
+	for (const entity of ENTITIES.concat(META)) {
+		counts[entity.name] = existing.includes(entity.name) ? (await countDocuments(entity)).count : null;
+	}
+
+	return counts;
+}
+
+// Schema of existing database can't be changed by option, only by conversion
+async function initializeSchema (compact=false) {
+	let schema = await getMeta('schema');
+
+	if (!schema) {
+		if (compact && (await countDocuments(BLOCKS)).count > 0) {
+			throw new MyError('Database already contains blocks in full schema, convert it with convert-compact command first');
+		}
+		schema = {compact};
+		await saveMeta('schema', schema);
+	} else if (schema.conversion) {
+		throw new MyError('Conversion to compact schema is unfinished, run convert-compact command again');
+	} else if (compact && !schema.compact) {
+		throw new MyError('Database uses full schema, convert it with convert-compact command first');
+	}
+
+	COMPACT = schema.compact;
+	if (COMPACT && TRANSACTIONS.enabled) {
+		await createIndex(TRANSACTIONS, ['block']);
+	}
+
+	return schema;
+}
+
+// Database belongs to the network it was created for
+async function initializeNetwork (network) {
+	const stored = await getMeta('network');
+
+	if (!stored) {
+		// Databases created before networks were recorded contain mainnet blocks
+		if (network.name !== 'mainnet' && BLOCKS.enabled && (await countDocuments(BLOCKS)).count > 0) {
+			throw new MyError(`Database already contains blocks of unknown network, it can't be used for ${network.name}`);
+		}
+		await saveMeta('network', {name: network.name, genesis: network.genesis});
+	} else if (stored.name !== network.name) {
+		throw new MyError(`Database was created for ${stored.name}, not ${network.name}`);
+	}
+}
+
+// Returns value stored in BTC or satoshis (compact schema) in satoshis
+function getSatoshis (value) {
+	return COMPACT ? value : Math.round(value * 1e8);
 }
 
 async function getLastBlockHeight () {
     let lastBlockHeight;
 
-	if ((await countDocuments(BLOCKS)).count > 0) {
+	if (BLOCKS.enabled && (await countDocuments(BLOCKS)).count > 0) {
 		const cursor = await DB.query(
 			'FOR b IN blocks ' +
 			'SORT b.height DESC ' +
@@ -143,47 +362,823 @@ async function getLastBlockHeight () {
     return lastBlockHeight;
 }
 
-async function saveBlock(id, height, time, tx) {
-	BLOCKS.entities.push({
+async function getBlockHash (height) {
+	if (!BLOCKS.enabled) {
+		return;
+	}
+
+	const blocks = await _queryDatabase(aql`
+		FOR b IN ${BLOCKS.handle}
+		FILTER b.height == ${height}
+		LIMIT 1
+		RETURN b._key`);
+
+	return blocks[0];
+}
+
+async function getBlock (hash) {
+	if (!BLOCKS.enabled) {
+		return;
+	}
+
+	const blocks = await _queryDatabase(aql`
+		RETURN DOCUMENT(${BLOCKS.handle}, ${hash})`);
+
+	return blocks[0];
+}
+
+// Returns ids of block's transactions, in block order only in full schema
+async function getBlockTransactionIds (hash) {
+	if (!BLOCKS.enabled) {
+		return;
+	}
+
+	if (COMPACT) {
+		return !TRANSACTIONS.enabled ? undefined : await _queryDatabase(aql`
+			FOR t IN ${TRANSACTIONS.handle}
+			FILTER t.block == ${hash}
+			SORT t._key
+			RETURN t._key`);
+	}
+
+	const transactionIds = await _queryDatabase(aql`
+		LET b = DOCUMENT(${BLOCKS.handle}, ${hash})
+		FILTER b != null
+		RETURN b.tx`);
+
+	return transactionIds[0];
+}
+
+async function getTransactions (transactionIds) {
+	if (!TRANSACTIONS.enabled) {
+		return [];
+	}
+
+	return await _queryDatabase(aql`
+		FOR t IN DOCUMENT(${TRANSACTIONS.handle}, ${transactionIds})
+		RETURN t`);
+}
+
+async function getOutputs (outputIds) {
+	if (!OUTPUTS.enabled) {
+		return [];
+	}
+
+	return await _queryDatabase(aql`
+		FOR o IN DOCUMENT(${OUTPUTS.handle}, ${outputIds})
+		RETURN o`);
+}
+
+// Returns map of output ids to values (in satoshis), buffered outputs are found without writing them out
+// and those in imports in flight once the imports end
+async function getOutputValues (outputIds) {
+	const values = new Map();
+	if (!OUTPUTS.enabled) {
+		return values;
+	}
+
+	const wanted = new Set(outputIds);
+	for (const document of OUTPUTS.entities) {
+		if (wanted.has(document._key) && document.value !== undefined && document.value !== null) {
+			values.set(document._key, getSatoshis(document.value));
+		}
+	}
+
+	const missingOutputIds = outputIds.filter((outputId) => !values.has(outputId));
+	if (missingOutputIds.length > 0) {
+		await Promise.all(pendingImports);
+		for (const output of await getOutputs(missingOutputIds)) {
+			if (output.value !== undefined && output.value !== null) {
+				values.set(output._key, getSatoshis(output.value));
+			}
+		}
+	}
+
+	return values;
+}
+
+async function getTransactionsEdges (transactionIds) {
+	const transactionHandles = transactionIds.map((transactionId) => `${TRANSACTIONS.name}/${transactionId}`);
+
+	return {
+		transactionsToOutputs: !TRANSACTIONS_TO_OUTPUTS.enabled ? [] : await _queryDatabase(aql`
+			FOR e IN ${TRANSACTIONS_TO_OUTPUTS.handle}
+			FILTER e._from IN ${transactionHandles}
+			RETURN { _from: e._from, _to: e._to }`),
+		outputsToTransactions: !OUTPUTS_TO_TRANSACTIONS.enabled ? [] : await _queryDatabase(aql`
+			FOR e IN ${OUTPUTS_TO_TRANSACTIONS.handle}
+			FILTER e._to IN ${transactionHandles}
+			RETURN { _from: e._from, _to: e._to }`)
+	};
+}
+
+async function removeBlock (height, transactionIds=[]) {
+	await commit();
+
+	// Statistics of the block are applied again after it's re-imported
+	const reverted = _isEnabled(ADDRESS_STATS_ENTITIES) && height <= await getAddressStatsHeight() &&
+		(await _applyAddressStats(height, -1, false)).length > 0;
+
+	const blocks = !BLOCKS.enabled ? [] : await _queryDatabase(aql`
+		FOR b IN ${BLOCKS.handle}
+		FILTER b.height == ${height}
+		REMOVE b IN ${BLOCKS.handle}
+		RETURN OLD`);
+
+	const allTransactionIds = new Set(transactionIds);
+	for (const block of blocks) {
+		(block.tx || []).forEach((transactionId) => allTransactionIds.add(transactionId));
+	}
+	if (COMPACT && TRANSACTIONS.enabled && blocks.length > 0) {
+		const blockTransactionIds = await _queryDatabase(aql`
+			FOR t IN ${TRANSACTIONS.handle}
+			FILTER t.block IN ${blocks.map((block) => block._key)}
+			RETURN t._key`);
+		blockTransactionIds.forEach((transactionId) => allTransactionIds.add(transactionId));
+	}
+
+	await _removeTransactions(Array.from(allTransactionIds));
+
+	return reverted;
+}
+
+// Blocks in kept ranges stay
+async function removeBlocks (height, keep=[]) {
+	await commit();
+
+	// Without blocks there's nothing to find transactions of removed blocks by
+	if (!BLOCKS.enabled) {
+		return {numBlocks: 0, numTransactions: 0};
+	}
+
+	// Merged clusters can't be split, so they're computed again
+	const clustersHeight = _isEnabled(CLUSTER_ENTITIES) ? await getClustersHeight() : 0;
+	if (height <= clustersHeight) {
+		logger.warning(`Blocks from #${height} are removed, but clusters are computed up to block #${clustersHeight}, they're computed again`);
+		await _resetClusters();
+	}
+
+	const addressStatsHeight = _isEnabled(ADDRESS_STATS_ENTITIES) ? await getAddressStatsHeight() : 0;
+	const affectedAddresses = new Set();
+	for (let statsHeight = addressStatsHeight; statsHeight >= height; statsHeight--) {
+		for (const addresses of await _applyAddressStats(statsHeight, -1)) {
+			addresses.forEach((address) => affectedAddresses.add(address));
+		}
+	}
+
+	// Blocks of compact schema don't list their transactions
+	const transactionIds = !COMPACT ? await _queryDatabase(aql`
+		FOR b IN ${BLOCKS.handle}
+		FILTER b.height >= ${height} AND LENGTH(${keep}[* FILTER CURRENT.from <= b.height AND b.height <= CURRENT.to]) == 0
+		FOR txid IN b.tx
+		RETURN DISTINCT txid`) : !TRANSACTIONS.enabled ? [] : await _queryDatabase(aql`
+		FOR b IN ${BLOCKS.handle}
+		FILTER b.height >= ${height} AND LENGTH(${keep}[* FILTER CURRENT.from <= b.height AND b.height <= CURRENT.to]) == 0
+		FOR t IN ${TRANSACTIONS.handle}
+		FILTER t.block == b._key
+		RETURN DISTINCT t._key`);
+
+	await _removeTransactions(transactionIds);
+
+	const blocks = await _queryDatabase(aql`
+		FOR b IN ${BLOCKS.handle}
+		FILTER b.height >= ${height} AND LENGTH(${keep}[* FILTER CURRENT.from <= b.height AND b.height <= CURRENT.to]) == 0
+		REMOVE b IN ${BLOCKS.handle}
+		RETURN OLD._key`);
+
+	if (affectedAddresses.size > 0) {
+		await _recomputeAddressActivity(Array.from(affectedAddresses));
+	}
+
+	const checkpoint = await getCheckpoint();
+	if (checkpoint && checkpoint.height >= height) {
+		await saveCheckpoint(height - 1, await getBlockHash(height - 1));
+	}
+	const completedRanges = await getCompletedRanges();
+	if (completedRanges.some((range) => range.to >= height)) {
+		await saveCompletedRanges(completedRanges.filter((range) => range.from < height).map((range) => ({from: range.from, to: Math.min(range.to, height - 1)})));
+	}
+
+	return {
+		numBlocks: blocks.length,
+		numTransactions: transactionIds.length
+	};
+}
+
+// Removes everything above the height including data of blocks which weren't written completely
+// (those without block document are found by height of their transactions, outputs and spends),
+// kept ranges of blocks written completely stay and they're saved as the completed ones
+async function removeAbove (height, keep=[]) {
+	// Spends in kept blocks of outputs created by removed transactions are written again, the outputs are merged with them once imported
+	const spends = !OUTPUTS.enabled || keep.length === 0 ? [] : await _queryDatabase(aql`
+		FOR o IN ${OUTPUTS.handle}
+		FILTER o.spentHeight > ${height} AND LENGTH(${keep}[* FILTER CURRENT.from <= o.spentHeight AND o.spentHeight <= CURRENT.to]) > 0
+		FILTER o.height == null OR (o.height > ${height} AND LENGTH(${keep}[* FILTER CURRENT.from <= o.height AND o.height <= CURRENT.to]) == 0)
+		RETURN { _key: o._key, spentBy: o.spentBy, spentIndex: o.spentIndex, spentHeight: o.spentHeight }`);
+
+	const removed = await removeBlocks(height + 1, keep);
+
+	const transactionIds = new Set();
+	if (TRANSACTIONS.enabled) {
+		(await _queryDatabase(aql`
+			FOR t IN ${TRANSACTIONS.handle}
+			FILTER t.height > ${height} AND LENGTH(${keep}[* FILTER CURRENT.from <= t.height AND t.height <= CURRENT.to]) == 0
+			RETURN t._key`)).forEach((transactionId) => transactionIds.add(transactionId));
+	}
+	if (OUTPUTS.enabled) {
+		(await _queryDatabase(aql`
+			FOR o IN ${OUTPUTS.handle}
+			FILTER o.height > ${height} AND LENGTH(${keep}[* FILTER CURRENT.from <= o.height AND o.height <= CURRENT.to]) == 0
+			RETURN DISTINCT SPLIT(o._key, ':')[0]`)).forEach((transactionId) => transactionIds.add(transactionId));
+		(await _queryDatabase(aql`
+			FOR o IN ${OUTPUTS.handle}
+			FILTER o.spentHeight > ${height} AND LENGTH(${keep}[* FILTER CURRENT.from <= o.spentHeight AND o.spentHeight <= CURRENT.to]) == 0
+			RETURN DISTINCT o.spentBy`)).forEach((transactionId) => transactionIds.add(transactionId));
+	}
+
+	if (transactionIds.size > 0) {
+		await _removeTransactions(Array.from(transactionIds));
+	}
+
+	for (const spend of spends) {
+		await saveSpend(spend._key, spend.spentBy, spend.spentIndex, spend.spentHeight);
+	}
+	await commit();
+
+	await saveCheckpoint(height, await getBlockHash(height));
+	await saveCompletedRanges(keep);
+
+	return {
+		numBlocks: removed.numBlocks,
+		numTransactions: removed.numTransactions + transactionIds.size
+	};
+}
+
+// Checkpoint is the height up to which all blocks are written completely
+async function getCheckpoint () {
+	return await getMeta('checkpoint');
+}
+
+async function saveCheckpoint (height, hash=null) {
+	await saveMeta('checkpoint', {height, hash});
+}
+
+// Ranges of blocks above checkpoint which are written completely (imported explicitly or by workers out of order),
+// import continuing where it left off keeps them
+async function getCompletedRanges () {
+	const meta = await getMeta('ranges');
+
+	return meta ? meta.ranges : [];
+}
+
+async function saveCompletedRanges (ranges) {
+	await saveMeta('ranges', {ranges});
+}
+
+// Address statistics
+
+async function getAddressStatsHeight () {
+	const meta = await getMeta('addresses');
+
+	return meta ? meta.height : 0;
+}
+
+// Applies address statistics of blocks in height order up to the given height, stops at the first missing block
+async function updateAddressStats (height) {
+	let statsHeight = await getAddressStatsHeight();
+
+	if (!_isEnabled(ADDRESS_STATS_ENTITIES)) {
+		return statsHeight;
+	}
+
+	while (statsHeight < height && (await _applyAddressStats(statsHeight + 1, 1)).length > 0) {
+		statsHeight++;
+	}
+
+	return statsHeight;
+}
+
+async function applyBlockAddressStats (height) {
+	return _isEnabled(ADDRESS_STATS_ENTITIES) && (await _applyAddressStats(height, 1, false)).length > 0;
+}
+
+// Adds (sign = 1) or subtracts (sign = -1) what the block at height received and sent to address summaries.
+// With watermark it applies only the block following the last applied one (or reverts the last applied one).
+// Returns [] if nothing was applied, otherwise [keys of affected addresses]
+async function _applyAddressStats (height, sign, watermark=true) {
+	const expectedHeight = sign > 0 ? height - 1 : height;
+	const newHeight = sign > 0 ? height : height - 1;
+
+	// Sums of BTC floats are rounded to satoshis, integer satoshis (compact schema) are added as they are
+	return await _queryDatabase(aql`
+		LET meta = DOCUMENT(${META.handle}, 'addresses')
+		LET statsHeight = meta == null ? 0 : meta.height
+		FILTER !${watermark} OR statsHeight == ${expectedHeight}
+		LET block = FIRST(FOR b IN ${BLOCKS.handle} FILTER b.height == ${height} RETURN b)
+		FILTER block != null
+		LET compact = ${COMPACT}
+		LET addresses = (
+			FOR o IN ${OUTPUTS.handle}
+			FILTER o.height == ${height} OR o.spentHeight == ${height}
+			FOR e IN ${ADDRESSES_TO_OUTPUTS.handle}
+			FILTER e._to == o._id
+			FOR activity IN APPEND(
+				o.height == ${height} ? [{ txid: PARSE_IDENTIFIER(o._id).key, received: o.value, sent: 0 }] : [],
+				o.spentHeight == ${height} ? [{ txid: o.spentBy, received: 0, sent: o.value }] : [])
+			COLLECT address = PARSE_IDENTIFIER(e._from).key INTO activities = activity
+			LET received = ${sign} * SUM(activities[*].received)
+			LET sent = ${sign} * SUM(activities[*].sent)
+			LET numTransactions = ${sign} * LENGTH(UNIQUE(FOR a IN activities RETURN SPLIT(a.txid, ':')[0]))
+			UPSERT { _key: address }
+			INSERT {
+				_key: address,
+				received: received,
+				sent: sent,
+				balance: compact ? received - sent : ROUND((received - sent) * 1e8) / 1e8,
+				numTransactions: numTransactions,
+				firstHeight: block.height,
+				lastHeight: block.height,
+				firstTime: block.time,
+				lastTime: block.time
+			}
+			UPDATE {
+				received: compact ? OLD.received + received : ROUND((OLD.received + received) * 1e8) / 1e8,
+				sent: compact ? OLD.sent + sent : ROUND((OLD.sent + sent) * 1e8) / 1e8,
+				balance: compact ? OLD.received + received - OLD.sent - sent : ROUND((OLD.received + received - OLD.sent - sent) * 1e8) / 1e8,
+				numTransactions: OLD.numTransactions + numTransactions,
+				firstHeight: ${sign} > 0 && (OLD.firstHeight == null || block.height < OLD.firstHeight) ? block.height : OLD.firstHeight,
+				firstTime: ${sign} > 0 && (OLD.firstHeight == null || block.height < OLD.firstHeight) ? block.time : OLD.firstTime,
+				lastHeight: ${sign} > 0 && (OLD.lastHeight == null || block.height > OLD.lastHeight) ? block.height : OLD.lastHeight,
+				lastTime: ${sign} > 0 && (OLD.lastHeight == null || block.height > OLD.lastHeight) ? block.time : OLD.lastTime
+			}
+			IN ${ADDRESSES.handle}
+			RETURN address
+		)
+		LET updated = (
+			FOR i IN ${watermark} ? [1] : []
+			UPSERT { _key: 'addresses' }
+			INSERT { _key: 'addresses', height: ${newHeight} }
+			UPDATE { height: ${newHeight} }
+			IN ${META.handle}
+			RETURN 1
+		)
+		RETURN addresses`);
+}
+
+// First and last activity can't be subtracted, so they're recomputed from the remaining outputs
+async function _recomputeAddressActivity (addresses) {
+	await _queryDatabase(aql`
+		LET meta = DOCUMENT(${META.handle}, 'addresses')
+		LET statsHeight = meta == null ? 0 : meta.height
+		FOR address IN ${addresses}
+		LET a = DOCUMENT(${ADDRESSES.handle}, address)
+		FILTER a != null
+		LET heights = (
+			FOR e IN ${ADDRESSES_TO_OUTPUTS.handle}
+			FILTER e._from == a._id
+			LET o = DOCUMENT(e._to)
+			FOR height IN [o.height, o.spentHeight]
+			FILTER height != null AND height <= statsHeight
+			RETURN height
+		)
+		LET firstBlock = FIRST(FOR b IN ${BLOCKS.handle} FILTER b.height == MIN(heights) RETURN b)
+		LET lastBlock = FIRST(FOR b IN ${BLOCKS.handle} FILTER b.height == MAX(heights) RETURN b)
+		UPDATE a WITH {
+			firstHeight: MIN(heights),
+			firstTime: firstBlock.time,
+			lastHeight: MAX(heights),
+			lastTime: lastBlock.time
+		} IN ${ADDRESSES.handle}`);
+}
+
+// Address clustering
+
+async function getClustersHeight () {
+	const meta = await getMeta('clusters');
+
+	return meta ? meta.height : 0;
+}
+
+// Clusters blocks in height order up to the given height in batches, each batch is written in one query
+async function updateClusters (height, { changeHeuristics = [], skipCoinJoins = true, batchSize = 10 } = {}) {
+	let clustersHeight = await getClustersHeight();
+
+	if (!_isEnabled(CLUSTER_ENTITIES)) {
+		return clustersHeight;
+	}
+
+	while (clustersHeight < height) {
+		const toHeight = Math.min(clustersHeight + batchSize, height);
+		const { inputs, outputs } = await _getClusterTransactions(clustersHeight + 1, toHeight, changeHeuristics.includes('fresh-address'));
+		for (const output of outputs) {
+			output.value = getSatoshis(output.value);
+		}
+
+		const links = clustering.getLinks(inputs, outputs, {changeHeuristics, skipCoinJoins});
+		const addresses = Array.from(new Set([].concat(...links.map((link) => link.addresses))));
+		const memberships = new Map(await _queryDatabase(aql`
+			FOR address IN ${addresses}
+			LET e = DOCUMENT(${ADDRESSES_TO_CLUSTERS.handle}, address)
+			FILTER e != null
+			RETURN [address, PARSE_IDENTIFIER(e._to).key]`));
+		const clusters = new Map(await _queryDatabase(aql`
+			FOR c IN DOCUMENT(${CLUSTERS.handle}, ${Array.from(new Set(memberships.values()))})
+			RETURN [c._key, c]`));
+
+		const plan = clustering.planClusters(links, memberships, clusters);
+		await _saveClusters(plan, toHeight);
+		logger.info2(`Clustered blocks #${clustersHeight + 1}-#${toHeight}: ${links.length} links, ` +
+			`${plan.edges.length} new clustered addresses, ${plan.merged.length} merged clusters`);
+
+		clustersHeight = toHeight;
+	}
+
+	return clustersHeight;
+}
+
+// Spends and outputs of the blocks with their addresses, `fresh` outputs are the first ones their address received
+async function _getClusterTransactions (fromHeight, toHeight, fresh) {
+	return (await _queryDatabase(aql`
+		LET inputs = (
+			FOR o IN ${OUTPUTS.handle}
+			FILTER o.spentHeight >= ${fromHeight} AND o.spentHeight <= ${toHeight}
+			RETURN {
+				txid: o.spentBy,
+				height: o.spentHeight,
+				scriptType: o.scriptType,
+				addresses: (FOR e IN ${ADDRESSES_TO_OUTPUTS.handle} FILTER e._to == o._id RETURN PARSE_IDENTIFIER(e._from).key)
+			}
+		)
+		LET outputs = (
+			FOR o IN ${OUTPUTS.handle}
+			FILTER o.height >= ${fromHeight} AND o.height <= ${toHeight}
+			LET addresses = (FOR e IN ${ADDRESSES_TO_OUTPUTS.handle} FILTER e._to == o._id RETURN PARSE_IDENTIFIER(e._from).key)
+			LET received = (
+				FOR address IN ${fresh} ? addresses : []
+				FOR e IN ${ADDRESSES_TO_OUTPUTS.handle}
+				FILTER e._from == CONCAT(${ADDRESSES.name}, '/', address)
+				FILTER DOCUMENT(e._to).height < o.height
+				LIMIT 1
+				RETURN 1
+			)
+			RETURN {
+				txid: SPLIT(o._key, ':')[0],
+				value: o.value,
+				scriptType: o.scriptType,
+				addresses,
+				fresh: ${fresh} && LENGTH(received) == 0
+			}
+		)
+		RETURN { inputs, outputs }`))[0];
+}
+
+// Edges of merged clusters are moved to the surviving one, all writes are done in one query, so they're atomic
+async function _saveClusters (plan, height) {
+	await _queryDatabase(aql`
+		LET moved = (
+			FOR m IN ${plan.merged}
+			FOR e IN ${ADDRESSES_TO_CLUSTERS.handle}
+			FILTER e._to == CONCAT(${CLUSTERS.name}, '/', m.cluster)
+			RETURN { address: PARSE_IDENTIFIER(e._from).key, cluster: m.into }
+		)
+		LET edges = (
+			FOR edge IN APPEND(moved, ${plan.edges})
+			LET to = CONCAT(${CLUSTERS.name}, '/', edge.cluster)
+			UPSERT { _key: edge.address }
+			INSERT { _key: edge.address, _from: CONCAT(${ADDRESSES.name}, '/', edge.address), _to: to }
+			UPDATE { _to: to }
+			IN ${ADDRESSES_TO_CLUSTERS.handle}
+			RETURN 1
+		)
+		LET clusters = (
+			FOR c IN ${plan.clusters}
+			UPSERT { _key: c._key }
+			INSERT c
+			UPDATE c
+			IN ${CLUSTERS.handle}
+			RETURN 1
+		)
+		LET updated = (
+			FOR i IN [1]
+			UPSERT { _key: 'clusters' }
+			INSERT { _key: 'clusters', height: ${height} }
+			UPDATE { height: ${height} }
+			IN ${META.handle}
+			RETURN 1
+		)
+		RETURN LENGTH(edges)`);
+}
+
+async function _resetClusters () {
+	for (const entity of [CLUSTERS, ADDRESSES_TO_CLUSTERS]) {
+		try {
+			await entity.handle.truncate();
+		} catch (error) {
+			throw new MyError(`Truncating collection "${entity.name}" failed`, {error});
+		}
+	}
+	await removeMeta('clusters');
+}
+
+// Returns addresses in the cluster of the address
+async function getClusterAddresses (address, limit) {
+	_checkEnabled('Finding cluster', CLUSTER_ENTITIES);
+
+	return await _queryDatabase(aql`
+		LET edge = DOCUMENT(${ADDRESSES_TO_CLUSTERS.handle}, ${address})
+		FILTER edge != null
+		LET c = DOCUMENT(edge._to)
+		FOR e IN ${ADDRESSES_TO_CLUSTERS.handle}
+		FILTER e._to == c._id
+		LET a = DOCUMENT(e._from)
+		SORT a._key
+		LIMIT ${limit}
+		RETURN {
+			cluster: c._key,
+			size: c.size,
+			address: a._key,
+			balance: a.balance
+		}`);
+}
+
+async function getUnconfirmedTransactions () {
+	if (!TRANSACTIONS.enabled) {
+		return [];
+	}
+
+	return await _queryDatabase(aql`
+		FOR t IN ${TRANSACTIONS.handle}
+		FILTER t.unconfirmed == true
+		RETURN t._key`);
+}
+
+async function removeUnconfirmedTransactions (transactionIds) {
+	await commit();
+
+	if (!TRANSACTIONS.enabled) {
+		return {};
+	}
+
+	const transactions = await _queryDatabase(aql`
+		FOR transactionId IN ${transactionIds}
+		LET t = DOCUMENT(${TRANSACTIONS.handle}, transactionId)
+		FILTER t.unconfirmed == true
+		RETURN { txid: t._key, firstSeen: t.firstSeen }`);
+
+	await _removeTransactions(transactions.map((transaction) => transaction.txid));
+
+	return transactions.reduce((firstSeen, transaction) => {
+		firstSeen[transaction.txid] = transaction.firstSeen;
+		return firstSeen;
+	}, {});
+}
+
+async function _removeTransactions (transactionIds) {
+	const transactionHandles = transactionIds.map((transactionId) => `${TRANSACTIONS.name}/${transactionId}`);
+
+	// Without edges from transactions the outputs are found by their keys
+	const outputHandles = (TRANSACTIONS_TO_OUTPUTS.enabled ? await _queryDatabase(aql`
+		FOR e IN ${TRANSACTIONS_TO_OUTPUTS.handle}
+		FILTER e._from IN ${transactionHandles}
+		RETURN e._to`) : !OUTPUTS.enabled ? [] : await _queryDatabase(aql`
+		FOR transactionId IN ${transactionIds}
+		FOR o IN ${OUTPUTS.handle}
+		FILTER o._key > CONCAT(transactionId, ':') AND o._key < CONCAT(transactionId, ';')
+		RETURN o._id`)).concat(transactionIds.map((transactionId) => `${OUTPUTS.name}/${transactionId}:coinbase`));
+
+	const addressHandles = !ADDRESSES_TO_OUTPUTS.enabled ? [] : await _queryDatabase(aql`
+		FOR e IN ${ADDRESSES_TO_OUTPUTS.handle}
+		FILTER e._to IN ${outputHandles}
+		REMOVE e IN ${ADDRESSES_TO_OUTPUTS.handle}
+		RETURN DISTINCT OLD._from`);
+
+	if (TRANSACTIONS_TO_OUTPUTS.enabled) {
+		await _queryDatabase(aql`
+			FOR e IN ${TRANSACTIONS_TO_OUTPUTS.handle}
+			FILTER e._from IN ${transactionHandles}
+			REMOVE e IN ${TRANSACTIONS_TO_OUTPUTS.handle}`);
+	}
+
+	// Outputs spent by removed transactions become unspent again
+	if (OUTPUTS.enabled && OUTPUTS_TO_TRANSACTIONS.enabled) {
+		await _queryDatabase(aql`
+			FOR e IN ${OUTPUTS_TO_TRANSACTIONS.handle}
+			FILTER e._to IN ${transactionHandles}
+			LET o = DOCUMENT(e._from)
+			FILTER o != null AND o.spentBy IN ${transactionIds}
+			UPDATE o WITH { spentBy: null, spentIndex: null, spentHeight: null } IN ${OUTPUTS.handle} OPTIONS { keepNull: false }`);
+	} else if (OUTPUTS.enabled) {
+		await _queryDatabase(aql`
+			FOR o IN ${OUTPUTS.handle}
+			FILTER o.spentBy IN ${transactionIds}
+			UPDATE o WITH { spentBy: null, spentIndex: null, spentHeight: null } IN ${OUTPUTS.handle} OPTIONS { keepNull: false }`);
+	}
+
+	if (OUTPUTS_TO_TRANSACTIONS.enabled) {
+		await _queryDatabase(aql`
+			FOR e IN ${OUTPUTS_TO_TRANSACTIONS.handle}
+			FILTER e._to IN ${transactionHandles}
+			REMOVE e IN ${OUTPUTS_TO_TRANSACTIONS.handle}`);
+	}
+
+	if (OUTPUTS.enabled) {
+		await _queryDatabase(aql`
+			FOR handle IN ${outputHandles}
+			REMOVE PARSE_IDENTIFIER(handle).key IN ${OUTPUTS.handle} OPTIONS { ignoreErrors: true }`);
+	}
+
+	if (TRANSACTIONS.enabled) {
+		await _queryDatabase(aql`
+			FOR transactionId IN ${transactionIds}
+			REMOVE transactionId IN ${TRANSACTIONS.handle} OPTIONS { ignoreErrors: true }`);
+	}
+
+	// Addresses are shared between blocks, so remove only those not referenced anymore
+	if (ADDRESSES.enabled) {
+		await _queryDatabase(aql`
+			FOR handle IN ${addressHandles}
+			FILTER LENGTH(FOR e IN ${ADDRESSES_TO_OUTPUTS.handle} FILTER e._from == handle LIMIT 1 RETURN 1) == 0
+			REMOVE PARSE_IDENTIFIER(handle).key IN ${ADDRESSES.handle} OPTIONS { ignoreErrors: true }`);
+	}
+}
+
+// Graph traversals, hops are counted in transactions
+
+// Returns outputs funded from the output (txid:n) or address
+async function getFundsForward (start, hops, limit) {
+	_checkEnabled('Following funds', [OUTPUTS, TRANSACTIONS, ADDRESSES, ADDRESSES_TO_OUTPUTS, OUTPUTS_TO_TRANSACTIONS, TRANSACTIONS_TO_OUTPUTS]);
+
+	// Address is one more edge away from the outputs
+	const fromAddress = !start.includes(':');
+	const startHandle = fromAddress ? `${ADDRESSES.name}/${start}` : `${OUTPUTS.name}/${start}`;
+
+	return await _queryDatabase(aql`
+		FOR v, e, p IN 1..${hops * 2 + (fromAddress ? 1 : 0)} OUTBOUND ${startHandle} GRAPH ${GRAPH.name}
+		OPTIONS { bfs: true, uniqueVertices: 'global' }
+		FILTER IS_SAME_COLLECTION(${OUTPUTS.name}, v)
+		LIMIT ${limit}
+		RETURN {
+			hop: LENGTH(p.vertices[* FILTER IS_SAME_COLLECTION(${TRANSACTIONS.name}, CURRENT)]),
+			transaction: SPLIT(v._key, ':')[0],
+			output: v._key,
+			value: v.value,
+			spentBy: v.spentBy,
+			addresses: (FOR a IN 1..1 INBOUND v ${ADDRESSES_TO_OUTPUTS.handle} RETURN a._key)
+		}`);
+}
+
+// Returns outputs which funded the transaction, coinbase outputs are where the funds were mined
+async function getFundsSources (transactionId, hops, limit) {
+	_checkEnabled('Tracing funds', [OUTPUTS, TRANSACTIONS, ADDRESSES, ADDRESSES_TO_OUTPUTS, OUTPUTS_TO_TRANSACTIONS, TRANSACTIONS_TO_OUTPUTS]);
+
+	return await _queryDatabase(aql`
+		FOR v, e, p IN 1..${hops * 2} INBOUND ${`${TRANSACTIONS.name}/${transactionId}`} GRAPH ${GRAPH.name}
+		OPTIONS { bfs: true, uniqueVertices: 'global' }
+		FILTER IS_SAME_COLLECTION(${OUTPUTS.name}, v)
+		LIMIT ${limit}
+		RETURN {
+			hop: (LENGTH(p.edges) + 1) / 2,
+			transaction: SPLIT(v._key, ':')[0],
+			output: v._key,
+			value: v.value,
+			coinbase: LIKE(v._key, '%:coinbase'),
+			addresses: (FOR a IN 1..1 INBOUND v ${ADDRESSES_TO_OUTPUTS.handle} RETURN a._key)
+		}`);
+}
+
+// Returns paths of funds from one address to outputs of the other one, shortest first
+async function getFundsPaths (fromAddress, toAddress, hops, limit) {
+	_checkEnabled('Finding paths', [OUTPUTS, TRANSACTIONS, ADDRESSES, ADDRESSES_TO_OUTPUTS, OUTPUTS_TO_TRANSACTIONS, TRANSACTIONS_TO_OUTPUTS]);
+
+	return await _queryDatabase(aql`
+		FOR v, e, p IN 2..${hops * 2 + 1} OUTBOUND ${`${ADDRESSES.name}/${fromAddress}`} GRAPH ${GRAPH.name}
+		OPTIONS { bfs: true, uniqueVertices: 'path' }
+		FILTER IS_SAME_COLLECTION(${OUTPUTS.name}, v)
+		FILTER ${`${ADDRESSES.name}/${toAddress}`} IN (FOR a IN 1..1 INBOUND v ${ADDRESSES_TO_OUTPUTS.handle} RETURN a._id)
+		LIMIT ${limit}
+		RETURN {
+			hops: (LENGTH(p.edges) - 1) / 2,
+			output: v._key,
+			value: v.value,
+			path: p.vertices[*]._key
+		}`);
+}
+
+function _checkEnabled (operation, entities) {
+	const disabled = entities.filter((entity) => !entity.enabled);
+	if (disabled.length > 0) {
+		throw new MyError(`${operation} needs collections ${disabled.map((entity) => `"${entity.name}"`).join(', ')}`);
+	}
+}
+
+// Returns cursor over outputs unspent at given height (or currently unspent ones)
+async function getUnspentOutputs (height=null) {
+	if (!OUTPUTS.enabled) {
+		throw new MyError(`UTXO set needs collection "${OUTPUTS.name}"`);
+	}
+
+	try {
+		return await DB.query(ADDRESSES_TO_OUTPUTS.enabled ? aql`
+			FOR o IN ${OUTPUTS.handle}
+			FILTER o.height != null AND (${height} == null OR o.height <= ${height})
+			FILTER o.spentHeight == null OR (${height} != null AND o.spentHeight > ${height})
+			RETURN {
+				output: o._key,
+				value: o.value,
+				height: o.height,
+				addresses: (
+					FOR e IN ${ADDRESSES_TO_OUTPUTS.handle}
+					FILTER e._to == o._id
+					RETURN PARSE_IDENTIFIER(e._from).key
+				)
+			}` : aql`
+			FOR o IN ${OUTPUTS.handle}
+			FILTER o.height != null AND (${height} == null OR o.height <= ${height})
+			FILTER o.spentHeight == null OR (${height} != null AND o.spentHeight > ${height})
+			RETURN {
+				output: o._key,
+				value: o.value,
+				height: o.height
+			}`, {batchSize: NUM_BUFFERED_DOCUMENTS});
+	} catch (error) {
+		throw new MyError('Querying unspent outputs failed', {error});
+	}
+}
+
+async function saveBlock(id, height, time, tx, properties) {
+	if (!BLOCKS.enabled) {
+		return;
+	}
+
+	BLOCKS.entities.push(_toDocument(BLOCKS, Object.assign({
 		_key: id,
 		height: height,
 		time: time,
 		tx: tx
-	});
+	}, properties)));
 
 	if (BLOCKS.entities.length >= NUM_BUFFERED_DOCUMENTS) {
-		importDocuments(BLOCKS);
+		await importDocuments(BLOCKS);
 	}
 }
 
-async function saveTransaction(transactionId) {
-	TRANSACTIONS.entities.push({
+async function saveTransaction(transactionId, blockHash, properties) {
+	if (!TRANSACTIONS.enabled) {
+		return;
+	}
+
+	TRANSACTIONS.entities.push(_toDocument(TRANSACTIONS, Object.assign({
 		_key: transactionId,
-	});
+		block: blockHash
+	}, properties)));
 
 	if (TRANSACTIONS.entities.length >= NUM_BUFFERED_DOCUMENTS) {
-		importDocuments(TRANSACTIONS);
+		await importDocuments(TRANSACTIONS);
+	}
+}
+
+async function saveOutput(outputId, value, height, properties) {
+	if (!OUTPUTS.enabled) {
+		return;
+	}
+
+	OUTPUTS.entities.push(_toDocument(OUTPUTS, Object.assign({
+		_key: outputId,
+		value: value,
+		height: height
+	}, properties)));
+
+	if (OUTPUTS.entities.length >= NUM_BUFFERED_DOCUMENTS) {
+		await importDocuments(OUTPUTS);
 	}
 }
 
-async function saveOutput(outputId, value) {
+async function saveSpend(outputId, transactionId, index, height) {
+	if (!OUTPUTS.enabled) {
+		return;
+	}
+
 	OUTPUTS.entities.push({
 		_key: outputId,
-		value: value
+		spentBy: transactionId,
+		spentIndex: index,
+		spentHeight: height
 	});
 
 	if (OUTPUTS.entities.length >= NUM_BUFFERED_DOCUMENTS) {
-		importDocuments(OUTPUTS);
+		await importDocuments(OUTPUTS);
 	}
 }
 
-async function saveAddress(address, transactionId, outputId) {
-	ADDRESSES.entities.push({
-		_key: address
-	});
+async function saveAddress(address, transactionId, outputId, properties, addressProperties) {
+	if (ADDRESSES.enabled) {
+		ADDRESSES.entities.push(_toDocument(ADDRESSES, Object.assign({
+			_key: address
+		}, addressProperties)));
 
-	if (ADDRESSES.entities.length >= NUM_BUFFERED_DOCUMENTS) {
-		importDocuments(ADDRESSES);
+		if (ADDRESSES.entities.length >= NUM_BUFFERED_DOCUMENTS) {
+			await importDocuments(ADDRESSES);
+		}
 	}
 
 	// try {
@@ -194,43 +1189,225 @@ async function saveAddress(address, transactionId, outputId) {
 	// 	}
 	// }
 
-	saveAddressToOutput(address, `${transactionId}:${outputId}`);
+	await saveAddressToOutput(address, `${transactionId}:${outputId}`, properties);
 }
 
-async function saveAddressToOutput(address, outputId) {
-	ADDRESSES_TO_OUTPUTS.entities.push({
+async function saveAddressToOutput(address, outputId, properties) {
+	if (!ADDRESSES_TO_OUTPUTS.enabled) {
+		return;
+	}
+
+	ADDRESSES_TO_OUTPUTS.entities.push(_toDocument(ADDRESSES_TO_OUTPUTS, Object.assign({
+		_key: `${outputId}:${address}`,
 		_from: `addresses/${address}`,
 		_to: `outputs/${outputId}`
-	});
+	}, properties)));
 
 	if (ADDRESSES_TO_OUTPUTS.entities.length >= NUM_BUFFERED_DOCUMENTS) {
-		importDocuments(ADDRESSES_TO_OUTPUTS);
+		await importDocuments(ADDRESSES_TO_OUTPUTS);
 	}
 }
 
-async function saveOutputToTransaction(outputId, transactionId) {
-	OUTPUTS_TO_TRANSACTIONS.entities.push({
+async function saveOutputToTransaction(outputId, transactionId, properties) {
+	if (!OUTPUTS_TO_TRANSACTIONS.enabled) {
+		return;
+	}
+
+	// Output is spent only once
+	OUTPUTS_TO_TRANSACTIONS.entities.push(_toDocument(OUTPUTS_TO_TRANSACTIONS, Object.assign({
+		_key: outputId,
 		_from: `outputs/${outputId}`,
 		_to: `transactions/${transactionId}`
-	});
+	}, properties)));
 
 	if (OUTPUTS_TO_TRANSACTIONS.entities.length >= NUM_BUFFERED_DOCUMENTS) {
-		importDocuments(OUTPUTS_TO_TRANSACTIONS);
+		await importDocuments(OUTPUTS_TO_TRANSACTIONS);
 	}
 }
 
-async function saveTransactionToOutput(transactionId, outputId) {
-	TRANSACTIONS_TO_OUTPUTS.entities.push({
+async function saveTransactionToOutput(transactionId, outputId, properties) {
+	if (!TRANSACTIONS_TO_OUTPUTS.enabled) {
+		return;
+	}
+
+	// Output is created only once
+	TRANSACTIONS_TO_OUTPUTS.entities.push(_toDocument(TRANSACTIONS_TO_OUTPUTS, Object.assign({
+		_key: outputId,
 		_from: `transactions/${transactionId}`,
 		_to: `outputs/${outputId}`
-	});
+	}, properties)));
 
 	if (TRANSACTIONS_TO_OUTPUTS.entities.length >= NUM_BUFFERED_DOCUMENTS) {
-		importDocuments(TRANSACTIONS_TO_OUTPUTS);
+		await importDocuments(TRANSACTIONS_TO_OUTPUTS);
+	}
+}
+
+// Converts document to compact schema if it's used
+function _toDocument (entity, document) {
+	if (!COMPACT) {
+		return document;
+	}
+
+	for (const property of entity.values) {
+		if (document[property] !== undefined && document[property] !== null) {
+			document[property] = Math.round(document[property] * 1e8);
+		}
+	}
+	for (const property of entity.derived) {
+		delete document[property];
+	}
+	if (entity.get === 'edge') {
+		document._key = _getEdgeKey(document);
+	}
+
+	return document;
+}
+
+function _getEdgeKey (edge) {
+	return crypto.createHash('sha256').update(`${edge._from}>${edge._to}`).digest('base64url').slice(0, 20);
+}
+
+function _isEnabled (entities) {
+	return entities.every((entity) => entity.enabled);
+}
+
+// Metadata
+
+async function getMeta (key) {
+	const meta = await _queryDatabase(aql`
+		RETURN DOCUMENT(${META.handle}, ${key})`);
+
+	return meta[0];
+}
+
+// Properties set to null are removed
+async function saveMeta (key, properties) {
+	await _queryDatabase(aql`
+		UPSERT { _key: ${key} }
+		INSERT MERGE(${properties}, { _key: ${key} })
+		UPDATE ${properties}
+		IN ${META.handle}
+		OPTIONS { keepNull: false }`);
+}
+
+async function removeMeta (key) {
+	await _queryDatabase(aql`
+		REMOVE { _key: ${key} } IN ${META.handle}
+		OPTIONS { ignoreErrors: true }`);
+}
+
+// Schema conversion
+
+// Converts database in batches, progress is saved together with each batch, so it can be interrupted and resumed
+async function convertToCompact () {
+	await commit();
+
+	const schema = await getMeta('schema') || {compact: false};
+	if (schema.compact && !schema.conversion) {
+		return false;
+	}
+
+	// Collections not selected for import may exist from earlier imports
+	const existing = (await DB.listCollections()).map((collection) => collection.name);
+	if (existing.includes(TRANSACTIONS.name)) {
+		await createIndex(TRANSACTIONS, ['block']);
+	}
+
+	const entities = [ADDRESSES_TO_OUTPUTS, OUTPUTS_TO_TRANSACTIONS, TRANSACTIONS_TO_OUTPUTS, ADDRESSES, OUTPUTS, TRANSACTIONS, BLOCKS]
+		.filter((entity) => existing.includes(entity.name));
+	const conversion = schema.conversion || {collection: entities[0].name, lastKey: ''};
+
+	for (const entity of entities.slice(entities.findIndex((entity) => entity.name === conversion.collection))) {
+		let lastKey = entity.name === conversion.collection ? conversion.lastKey : '';
+		if (lastKey === '') {
+			await saveMeta('schema', {compact: false, conversion: {collection: entity.name, lastKey}});
+		}
+
+		logger.info(`Converting collection "${entity.name}" to compact schema`);
+
+		let numDocuments = 0;
+		while (true) {
+			const keys = entity.get === 'edge' ? await _convertEdges(entity, lastKey) : await _convertDocuments(entity, lastKey);
+			if (keys.length === 0) {
+				break;
+			}
+			lastKey = keys[keys.length - 1];
+			numDocuments += keys.length;
+			logger.info1(`Converted ${numDocuments} documents in collection "${entity.name}"`);
+		}
 	}
+
+	await saveMeta('schema', {compact: true, conversion: null});
+	COMPACT = true;
+
+	return true;
 }
 
+async function _convertDocuments (entity, lastKey) {
+	const properties = entity.values.map((property) => `${property}: d.${property} == null ? null : ROUND(d.${property} * 100000000)`)
+		.concat(entity.derived.map((property) => `${property}: null`));
+
+	return (await _queryDatabase({
+		query: `
+			LET keys = (
+				FOR d IN @@collection
+				FILTER d._key > @lastKey
+				SORT d._key
+				LIMIT @batchSize
+				UPDATE d WITH { ${properties.join(', ')} } IN @@collection
+				OPTIONS { keepNull: false }
+				RETURN d._key
+			)
+			LET progress = (
+				FOR i IN LENGTH(keys) > 0 ? [1] : []
+				UPDATE 'schema' WITH { conversion: { collection: @collection, lastKey: LAST(keys) } } IN @@meta
+				RETURN 1
+			)
+			RETURN keys`,
+		bindVars: {
+			'@collection': entity.name,
+			'@meta': META.name,
+			collection: entity.name,
+			lastKey,
+			batchSize: NUM_BUFFERED_DOCUMENTS
+		}
+	}))[0];
+}
+
+// Keys can't be changed, so edges are written again with new keys and the old ones are removed
+async function _convertEdges (entity, lastKey) {
+	const edges = await _queryDatabase(aql`
+		FOR e IN ${entity.handle}
+		FILTER e._key > ${lastKey}
+		SORT e._key
+		LIMIT ${NUM_BUFFERED_DOCUMENTS}
+		RETURN e`);
+
+	// Already converted edges come up again after their new keys
+	const converted = edges.filter((edge) => edge._key !== _getEdgeKey(edge));
+	if (converted.length > 0) {
+		await _queryDatabase(aql`
+			FOR e IN ${converted.map((edge) => Object.assign({}, edge, {_key: _getEdgeKey(edge), _id: undefined, _rev: undefined}))}
+			INSERT e INTO ${entity.handle}
+			OPTIONS { overwrite: true }`);
+		await _queryDatabase(aql`
+			FOR key IN ${converted.map((edge) => edge._key)}
+			REMOVE key IN ${entity.handle}
+			OPTIONS { ignoreErrors: true }`);
+	}
+
+	const keys = edges.map((edge) => edge._key);
+	if (keys.length > 0) {
+		await saveMeta('schema', {conversion: {collection: entity.name, lastKey: keys[keys.length - 1]}});
+	}
+
+	return keys;
+}
+
+// Waits until all buffered documents are written or put to dead-letter file, returns number of the latter
 async function commit() {
+	const deadLetters = numDeadLetters;
+
 	for (let entity of [
 		BLOCKS, 
 		TRANSACTIONS, 
@@ -241,9 +1418,66 @@ async function commit() {
 		TRANSACTIONS_TO_OUTPUTS
 	]) {
 		if (entity.entities.length > 0) {
-			importDocuments(entity);
+			await importDocuments(entity);
 		}
 	}
+
+	await Promise.all(pendingImports);
+
+	if (importError) {
+		const error = importError;
+		importError = null;
+		throw error;
+	}
+
+	return numDeadLetters - deadLetters;
+}
+
+// Imports documents from dead-letter file again, those failing again are put back to it
+async function replayDeadLetters () {
+	await commit();
+
+	// Documents of interrupted replay are replayed too
+	const replayFile = `${DEAD_LETTER_FILE}.replay`;
+	if (fs.existsSync(DEAD_LETTER_FILE)) {
+		fs.appendFileSync(replayFile, fs.readFileSync(DEAD_LETTER_FILE));
+		fs.unlinkSync(DEAD_LETTER_FILE);
+	}
+	if (!fs.existsSync(replayFile)) {
+		return {numDocuments: 0, numFailed: 0};
+	}
+
+	const documents = new Map();
+	const lines = fs.readFileSync(replayFile, 'utf8').split('\n').filter((line) => line.length > 0);
+	for (const line of lines) {
+		let deadLetter;
+		try {
+			deadLetter = JSON.parse(line);
+		} catch (error) {
+			throw new MyError(`Invalid line in dead-letter file "${replayFile}"`, {error, object: line});
+		}
+		if (!documents.has(deadLetter.collection)) {
+			documents.set(deadLetter.collection, []);
+		}
+		documents.get(deadLetter.collection).push(deadLetter.document);
+	}
+
+	const deadLetters = numDeadLetters;
+	for (const [name, collectionDocuments] of documents) {
+		const entity = ENTITIES.find((entity) => entity.name === name);
+		if (!entity) {
+			_writeDeadLetters({name}, collectionDocuments.map((document) => ({document, error: {message: 'Unknown collection'}})));
+			continue;
+		}
+		// Documents are already in the form they're stored in
+		for (let i = 0; i < collectionDocuments.length; i += NUM_BUFFERED_DOCUMENTS) {
+			await _importDocuments(entity, collectionDocuments.slice(i, i + NUM_BUFFERED_DOCUMENTS));
+		}
+	}
+
+	fs.unlinkSync(replayFile);
+
+	return {numDocuments: lines.length, numFailed: numDeadLetters - deadLetters};
 }
 
 async function getOrCreateCollection (collection) {
@@ -265,9 +1499,11 @@ async function getOrCreateCollection (collection) {
 	}
 }
 
+// Edge definitions missing in existing graph are added
 async function getOrCreateGraph (graph) {
+	let existing;
 	try {
-		return await graph.handle.get();
+		existing = await graph.handle.get();
 	} catch (error) {
 		if (error.isArangoError && error.errorNum === arangoErrors.ERROR_ARANGO_GRAPH_NOT_FOUND.code) {
 			logger.info(`Creating graph "${graph.name}"`);
@@ -280,6 +1516,27 @@ async function getOrCreateGraph (graph) {
 			throw new MyError(`Getting graph "${graph.name}" failed`, {error});
 		}
 	}
+
+	for (const definition of graph.properties.edgeDefinitions) {
+		if (!existing.edgeDefinitions.some((existingDefinition) => existingDefinition.collection === definition.collection)) {
+			logger.info(`Adding edge collection "${definition.collection}" to graph "${graph.name}"`);
+			try {
+				await graph.handle.addEdgeDefinition(definition);
+			} catch (error) {
+				throw new MyError(`Adding edge collection "${definition.collection}" to graph "${graph.name}" failed`, {error});
+			}
+		}
+	}
+
+	return existing;
+}
+
+async function createIndex (collection, fields, options) {
+	try {
+		return await collection.handle.createSkipList(fields, options);
+	} catch (error) {
+		throw new MyError(`Creating index on ${fields.join(', ')} in collection "${collection.name}" failed`, {error});
+	}
 }
 
 async function countDocuments(collection) {
@@ -335,13 +1592,107 @@ async function saveDocument (collection, document, dontOverwrite=false) {
 	}
 }
 
+// Starts import of buffered documents once there's a free slot, doesn't wait for its end
 async function importDocuments(entity) {
+	const documents = entity.entities;
+	entity.entities = [];
+
+	while (pendingImports.size >= MAX_PENDING_IMPORTS) {
+		await Promise.race(pendingImports);
+	}
+
+	const promise = _importDocuments(entity, documents).catch((error) => {
+		importError = importError || error;
+	}).finally(() => {
+		pendingImports.delete(promise);
+	});
+	pendingImports.add(promise);
+}
+
+// Retries documents which failed with transient error with exponential backoff,
+// the others (and those still failing after all retries) are put to dead-letter file.
+// Rejects only when writing to dead-letter file fails
+async function _importDocuments (entity, documents) {
+	for (let attempt = 0; documents.length > 0; attempt++) {
+		let failed;
+		try {
+			const options = Object.assign({details: true}, entity.importOptions);
+			if (DONT_OVERWRITE && options.onDuplicate === 'replace') {
+				options.onDuplicate = 'ignore';
+			}
+			const result = await metrics.time('arangodb_request_duration_seconds', {operation: 'import'}, () => entity.handle.import(documents, options));
+			failed = _getFailedDocuments(documents, result);
+		} catch (error) {
+			failed = documents.map((document) => ({document, error}));
+		}
+
+		const retried = failed.filter((failure) => _isTransient(failure.error));
+		if (attempt >= IMPORT_RETRIES) {
+			_writeDeadLetters(entity, failed);
+			return;
+		}
+		_writeDeadLetters(entity, failed.filter((failure) => !_isTransient(failure.error)));
+
+		documents = retried.map((failure) => failure.document);
+		if (documents.length > 0) {
+			metrics.increment('import_retries_total', {collection: entity.name}, documents.length);
+			const delay = IMPORT_RETRY_DELAY * 2 ** attempt;
+			logger.warning(`Importing ${documents.length} ${entity.name} documents failed (${retried[0].error.message}), retrying in ${delay / 1000} seconds`);
+			await setTimeoutPromise(delay);
+		}
+	}
+}
+
+// Import reports failed documents by their position
+function _getFailedDocuments (documents, result) {
+	if (!result.errors) {
+		return [];
+	}
+
+	const failed = [];
+	for (const detail of result.details || []) {
+		const match = detail.match(/^at position (\d+): (.*)$/);
+		if (match && documents[match[1]]) {
+			failed.push({document: documents[match[1]], error: {message: match[2].replace(/, offending document: .*$/, '')}});
+		}
+	}
+	if (failed.length < result.errors) {
+		logger.error(`Import reported ${result.errors} failed documents, but only ${failed.length} of them could be identified`);
+	}
+
+	return failed;
+}
+
+function _isTransient (error) {
+	if (error.isArangoError) {
+		return TRANSIENT_ERRORS.arango.includes(error.errorNum);
+	}
+	if (error.statusCode) {
+		return error.statusCode >= 500;
+	}
+	return TRANSIENT_ERRORS.network.includes(error.code) || TRANSIENT_ERRORS.messages.test(error.message);
+}
+
+function _writeDeadLetters (entity, failed) {
+	if (failed.length === 0) {
+		return;
+	}
+
+	const time = new Date().toISOString();
 	try {
-		entity.handle.import(entity.entities);
-		entity.entities = [];
+		fs.appendFileSync(DEAD_LETTER_FILE, failed.map((failure) => JSON.stringify({
+			time,
+			collection: entity.name,
+			error: failure.error.message,
+			document: failure.document
+		}) + '\n').join(''));
 	} catch (error) {
-		throw new MyError(`Importing ${id} failed`, {error, object: document});
+		throw new MyError(`Writing ${failed.length} ${entity.name} documents failed (${failed[0].error.message}) and saving them to "${DEAD_LETTER_FILE}" failed too`, {error});
 	}
+	numDeadLetters += failed.length;
+	metrics.increment('dead_letters_total', {collection: entity.name}, failed.length);
+
+	logger.error(`Writing ${failed.length} ${entity.name} documents failed (${failed[0].error.message}), they're saved to "${DEAD_LETTER_FILE}" for replay`);
 }
 
 // async function saveOrUpdateDocument (collection, document) {
@@ -366,19 +1717,19 @@ async function importDocuments(entity) {
 //   return modifyCollection(RETRIES, collection, 'update', documentId, document)
 // }
 
-// async function _queryDatabase (query, retries=RETRIES) {
-//     // console.log(`modifyCollection(collection=${collection}, operation=${operation}, args=${args}`);
-// 	try {
-// 		return await DB.query(query);
-// 	} catch (error) {
-// 		if (error.isArangoError && error.errorNum === arangoErrors.ERROR_ARANGO_CONFLICT.code && retries > 0) {
-// 			await setImmediatePromise();
-// 			return await _queryDatabase(query, retries - 1);
-// 		} else {
-// 			throw error;
-// 		}
-// 	}
-// }
+async function _queryDatabase (query, retries=RETRIES) {
+	try {
+		return await metrics.time('arangodb_request_duration_seconds', {operation: 'query'}, async () => await (await DB.query(query)).all());
+	} catch (error) {
+		if (error.isArangoError && error.errorNum === arangoErrors.ERROR_ARANGO_CONFLICT.code && retries > 0) {
+			metrics.increment('conflicts_total');
+			await setImmediatePromise();
+			return await _queryDatabase(query, retries - 1);
+		} else {
+			throw new MyError('Querying database failed', {error, object: query});
+		}
+	}
+}
 
 async function _replaceDocument (collection, documentId, document, ...args) {
 	return await _modifyCollection(RETRIES, collection, 'replace', documentId, document, ...args);
@@ -387,9 +1738,10 @@ async function _replaceDocument (collection, documentId, document, ...args) {
 async function _modifyCollection (retries, collection, operation, ...args) {
 	// logger.debug1('modifyCollection', {object: {args: args}});
 	try {
-		return await collection.handle[operation](...args);
+		return await metrics.time('arangodb_request_duration_seconds', {operation}, () => collection.handle[operation](...args));
 	} catch (error) {
 		if (error.isArangoError && error.errorNum === arangoErrors.ERROR_ARANGO_CONFLICT.code && retries > 0) {
+			metrics.increment('conflicts_total');
 			await setImmediatePromise();
 			return await _modifyCollection(retries - 1, collection, operation, ...args);
 		} else {
@@ -400,14 +1752,54 @@ async function _modifyCollection (retries, collection, operation, ...args) {
 
 module.exports = {
 	init,
-    cleanDatabase: () => DB.truncate(),
+	cleanCollections,
+	getCollectionCounts,
     initializeDatabase,
+	initializeSchema,
+	initializeNetwork,
+	convertToCompact,
+	COLLECTIONS,
+	isEnabled: (name) => ENTITIES.some((entity) => entity.name === name && entity.enabled),
+	isCompact: () => COMPACT,
+	getSatoshis,
     getLastBlockHeight,
+	getBlockHash,
+	getBlock,
+	getBlockTransactionIds,
+	getTransactions,
+	getOutputs,
+	getOutputValues,
+	getTransactionsEdges,
+	removeBlock,
+	removeBlocks,
+	removeAbove,
+	replayDeadLetters,
+	getSchema: () => getMeta('schema'),
+	getNetwork: () => getMeta('network'),
+	getCheckpoint,
+	saveCheckpoint,
+	getCompletedRanges,
+	saveCompletedRanges,
+	getAddressStatsHeight,
+	updateAddressStats,
+	applyBlockAddressStats,
+	isClusteringEnabled: () => _isEnabled(CLUSTER_ENTITIES),
+	getClustersHeight,
+	updateClusters,
+	getClusterAddresses,
+	getUnconfirmedTransactions,
+	removeUnconfirmedTransactions,
 	saveBlock,
 	saveTransaction,
 	saveOutput,
+	saveSpend,
+	getUnspentOutputs,
+	getFundsForward,
+	getFundsSources,
+	getFundsPaths,
 	saveAddress,
 	saveAddressToOutput,
 	saveOutputToTransaction,
-	saveTransactionToOutput
+	saveTransactionToOutput,
+	commit
 }
\ No newline at end of file
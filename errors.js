@@ -1,8 +1,9 @@
 class MyError extends Error {
-	constructor(message, { error = null , object = null } = {} ) {
+	constructor(message, { error = null , object = null, code = null } = {} ) {
 		super(message);
 		this.error = error;
 		this.object = object;
+		this.code = code;
 		if (this.error) {
 			if (this.error.isArangoError) {
 				this.code = this.error.errorNum;
@@ -22,15 +23,40 @@ class MyError extends Error {
 }
 
 const arangoErrors = {
+	ERROR_LOCK_TIMEOUT: { code: 18 },
+	ERROR_SHUTTING_DOWN: { code: 30 },
 	ERROR_HTTP_NOT_FOUND: { code: 404 },
+	ERROR_HTTP_SERVICE_UNAVAILABLE: { code: 503 },
 	ERROR_ARANGO_CONFLICT: { code: 1200 },
 	ERROR_ARANGO_DOCUMENT_NOT_FOUND: { code: 1202 },
 	ERROR_ARANGO_COLLECTION_NOT_FOUND: { code: 1203 },
 	ERROR_ARANGO_UNIQUE_CONSTRAINT_VIOLATED: { code: 1210 },
-	ERROR_ARANGO_GRAPH_NOT_FOUND: { code: 1924 }
+	ERROR_ARANGO_GRAPH_NOT_FOUND: { code: 1924 },
+	ERROR_CLUSTER_TIMEOUT: { code: 1457 }
+};
+
+// Errors worth retrying, writes failing with other errors would fail again
+const TRANSIENT_ERRORS = {
+	arango: [
+		arangoErrors.ERROR_LOCK_TIMEOUT.code,
+		arangoErrors.ERROR_SHUTTING_DOWN.code,
+		arangoErrors.ERROR_HTTP_SERVICE_UNAVAILABLE.code,
+		arangoErrors.ERROR_ARANGO_CONFLICT.code,
+		arangoErrors.ERROR_CLUSTER_TIMEOUT.code
+	],
+	network: ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN'],
+	// Per-document errors of import come only as text
+	messages: /conflict|timeout|lock/i
+};
+
+const bitcoinErrors = {
+	RPC_INVALID_ADDRESS_OR_KEY: { code: -5 },
+	RPC_INVALID_PARAMETER: { code: -8 }
 };
 
 module.exports = {
 	MyError,
-	arangoErrors
+	arangoErrors,
+	bitcoinErrors,
+	TRANSIENT_ERRORS
 };
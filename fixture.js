@@ -0,0 +1,109 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const { MyError, bitcoinErrors } = require('./errors');
+
+const logger = require('./logger');
+
+let FIXTURES_DIR;
+let chain;
+let blocks;
+
+function init(fixturesDir) {
+	FIXTURES_DIR = fixturesDir;
+	chain = null;
+	blocks = null;
+}
+
+// Loads blocks recorded as RPC getblock (verbosity 2) results, one block per JSON file
+function getChain() {
+	if (chain) {
+		return chain;
+	}
+
+	let files;
+	try {
+		files = fs.readdirSync(FIXTURES_DIR).filter((file) => file.endsWith('.json')).sort();
+	} catch (error) {
+		throw new MyError(`Reading fixtures directory "${FIXTURES_DIR}" failed`, {error});
+	}
+
+	blocks = new Map();
+	for (const file of files) {
+		let block;
+		try {
+			block = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf8'));
+		} catch (error) {
+			throw new MyError(`Reading fixture "${file}" failed`, {error});
+		}
+		if (!block.hash || !Number.isInteger(block.height) || !Array.isArray(block.tx)) {
+			throw new MyError(`Fixture "${file}" is not a verbose block`, {object: block});
+		}
+		blocks.set(block.hash, block);
+	}
+
+	if (blocks.size === 0) {
+		throw new MyError(`No fixtures in "${FIXTURES_DIR}"`);
+	}
+
+	// The highest block is the tip, recorded blocks from stale branches are left out
+	let tip;
+	for (const block of blocks.values()) {
+		if (!tip || block.height > tip.height) {
+			tip = block;
+		}
+	}
+
+	chain = [];
+	for (let block = tip; block; block = blocks.get(block.previousblockhash)) {
+		chain[block.height] = block.hash;
+	}
+	const start = chain.findIndex((hash) => hash !== undefined);
+
+	logger.info(`Loaded ${blocks.size} blocks from "${FIXTURES_DIR}", chain has blocks #${start}-#${tip.height}`);
+
+	return chain;
+}
+
+async function getBlock(hash) {
+	const chain = getChain();
+
+	if (!blocks.has(hash)) {
+		throw new MyError(`Block "${hash}" not found in fixtures`, {code: bitcoinErrors.RPC_INVALID_ADDRESS_OR_KEY.code});
+	}
+
+	// Next block hash is taken from the fixtures, not from the recording node
+	const block = Object.assign({}, blocks.get(hash));
+	if (chain[block.height] === hash && chain[block.height + 1]) {
+		block.nextblockhash = chain[block.height + 1];
+	} else {
+		delete block.nextblockhash;
+	}
+
+	return block;
+}
+
+async function getBlockHash(height) {
+	const chain = getChain();
+
+	if (!chain[height]) {
+		throw new MyError(`Block height ${height} out of range`, {code: bitcoinErrors.RPC_INVALID_PARAMETER.code});
+	}
+
+	return chain[height];
+}
+
+async function getBestBlockHash() {
+	const chain = getChain();
+
+	return chain[chain.length - 1];
+}
+
+module.exports = {
+	init,
+	getBestBlockHash,
+	getBlockHash,
+	getBlock
+};
@@ -0,0 +1,70 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { bitcoinErrors } = require('./errors');
+
+const logger = require('./logger');
+const source = require('./source');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'regtest');
+const GENESIS_HASH = '0f9188f13cb7b2c71f2a335e3a4fc328bf5beb436012afca590b1a11466e2206';
+const STALE_HASH = '2ce854d5d20d34a2fd40ad2e1c5d77424fcc4d471ecf57a422514fbe14c8a5b8';
+
+logger.init(0, 0);
+
+test('fixture source follows the chain to the highest block', async () => {
+	source.init('fixture', {fixtures: FIXTURES});
+
+	const tip = await source.getBlock(await source.getBestBlockHash());
+	assert.strictEqual(tip.height, 4);
+	assert.strictEqual(tip.nextblockhash, undefined);
+	assert.strictEqual(await source.getBlockHash(0), GENESIS_HASH);
+
+	for (let height = tip.height; height > 0; height--) {
+		const block = await source.getBlock(await source.getBlockHash(height));
+		assert.strictEqual(block.height, height);
+		assert.strictEqual(block.previousblockhash, await source.getBlockHash(height - 1));
+	}
+});
+
+test('fixture source leaves blocks from stale branches out of the chain', async () => {
+	source.init('fixture', {fixtures: FIXTURES});
+
+	assert.notStrictEqual(await source.getBlockHash(3), STALE_HASH);
+	const stale = await source.getBlock(STALE_HASH);
+	assert.strictEqual(stale.height, 3);
+	assert.strictEqual(stale.nextblockhash, undefined);
+	const parent = await source.getBlock(stale.previousblockhash);
+	assert.strictEqual(parent.nextblockhash, await source.getBlockHash(3));
+});
+
+test('fixture source fails with node\'s error codes', async () => {
+	source.init('fixture', {fixtures: FIXTURES});
+
+	await assert.rejects(source.getBlockHash(5), {code: bitcoinErrors.RPC_INVALID_PARAMETER.code});
+	await assert.rejects(source.getBlock('00'.repeat(32)), {code: bitcoinErrors.RPC_INVALID_ADDRESS_OR_KEY.code});
+});
+
+test('blocks recorded from fixture source replay the same chain', async () => {
+	const record = fs.mkdtempSync(path.join(os.tmpdir(), 'fixtures-'));
+	try {
+		source.init('fixture', {fixtures: FIXTURES, record});
+		const recorded = [];
+		for (let height = 0; height <= 4; height++) {
+			recorded.push(await source.getBlock(await source.getBlockHash(height)));
+		}
+
+		source.init('fixture', {fixtures: record});
+		assert.strictEqual(await source.getBestBlockHash(), recorded[4].hash);
+		for (const block of recorded) {
+			assert.deepStrictEqual(await source.getBlock(await source.getBlockHash(block.height)), block);
+		}
+	} finally {
+		fs.rmSync(record, {recursive: true, force: true});
+	}
+});
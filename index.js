@@ -2,170 +2,978 @@
 
 'use strict';
 
+const fs = require('fs');
 const os = require('os');
 const cluster = require('cluster');
+const http = require('http');
+const readline = require('readline');
 
 const commander = require('commander');
 const moment = require('moment');
 
+const { MyError, bitcoinErrors } = require('./errors');
 const logger = require('./logger');
 const bitcoin = require('./bitcoin');
+const source = require('./source');
 const db = require('./db');
 const worker = require('./worker.js');
+const verify = require('./verify');
+const script = require('./script');
+const networks = require('./networks');
+const query = require('./query');
+const status = require('./status');
+const metrics = require('./metrics');
+const { mergeRanges, toRanges, subtractRanges, findRange, splitRanges, selectRanges, parseHeight, getHeights } = require('./ranges');
 
-const config = require('./config');
+const settings = require('./settings');
+const defaults = require('./config');
 
 const numCPUs = os.cpus().length;
 
+// Command selected on command line with its arguments and options and settings (config.js overridden by config file, environment and options)
+let command;
+let options;
+let config;
+let network;
+
+// Options shared by commands, every command has the common ones
+const COMMON_OPTIONS = [
+	['-v, --verbose', 'Increase verbosity', (v, total) => total + 1, 0],
+	['-d, --debug', 'Increase verbosity of debug messages', (v, total) => total + 1, 0],
+	['-r, --retries <n>', 'Number of retries in case of conflict', 3],
+	['-p, --perf', 'Increase performace report verbosity', (v, total) => total + 1, 0],
+	['-c, --config <file>', `Config file (JSON or YAML) overriding config.js, environment variables ${settings.ENVIRONMENT_PREFIX}* override it`],
+	['-n, --network <network>', `Network (${networks.NETWORKS.join(', ')})`],
+	['--log-format <format>', `Format of console log (${logger.FORMATS.join(', ')})`],
+	['--log-file <file>', 'Log file written besides console (JSON format by default)'],
+	['--db-host <host>', 'ArangoDB host'],
+	['--db-port <port>', 'ArangoDB port', parseInt],
+	['--db-name <name>', 'ArangoDB database'],
+	['--db-username <username>', 'ArangoDB username'],
+	['--db-password <password>', 'ArangoDB password'],
+	['--db-https', 'Connect to ArangoDB with HTTPS'],
+	['--db-ca-file <path>', 'CA certificate of ArangoDB server']
+];
+const COLLECTION_OPTIONS = [
+	['--profile <name>', `Profile of collections (${Object.keys(defaults.profiles).join(', ')} or defined in config file)`],
+	['--collections <list>', 'Comma separated collections instead of profile']
+];
+const SOURCE_OPTIONS = [
+	['-s, --source <source>', `Source of blocks (${source.SOURCES.join(', ')})`, 'rpc'],
+	['--datadir <path>', 'Node\'s data directory with block files for blockfile source'],
+	['--fixtures <path>', 'Directory with recorded blocks (JSON files) for fixture source'],
+	['--rpc-host <host>', 'Node\'s RPC host'],
+	['--rpc-port <port>', 'Node\'s RPC port', parseInt],
+	['--rpc-username <username>', 'Node\'s RPC username'],
+	['--rpc-password <password>', 'Node\'s RPC password'],
+	['--rpc-cookie-file <path>', 'Node\'s RPC cookie file used without username and password']
+];
+const HEIGHT_OPTIONS = [
+	['--from <height>', 'Height of the first block instead of continuing where it left off (import) or the first one (verify)'],
+	['--to <height>', 'Height of the last block instead of the chain tip'],
+	['-b, --blocks <list>', 'Heights of blocks as comma separated heights and ranges (e.g. 1,5,10-20) or file with them']
+];
+
 commander
-    .version('0.0.1')
-    .option('-v, --verbose', 'Increase verbosity', (v, total) => total + 1, 0)
-    .option('-d, --debug', 'Increase verbosity of debug messages', (v, total) => total + 1, 0)
+    .version('0.0.1');
+
+withOptions(commander.command('import'), SOURCE_OPTIONS, HEIGHT_OPTIONS, COLLECTION_OPTIONS)
+    .description('Import blocks from the node, continues where it left off')
     .option('-a, --async', 'Process transactions asynchronously')
-    .option('-r, --retries <n>', 'Number of retries in case of conflict', 3)
-    .option('-w, --max-workers <n>', 'Maximal number of workers', 1)
+    .option('-w, --max-workers <n>', 'Maximal number of workers (at most the number of CPUs)', 1)
     .option('-o, --dont-overwrite', 'Don\'t overwrite existing entries')
-    .option('-p, --perf', 'Increase performace report verbosity', (v, total) => total + 1, 0)
-    .option('-c, --clean', 'Clean database before import')
-	.parse(process.argv);
-	
-logger.init(commander.verbose, commander.debug);
-db.init(
-	config.database.username, 
-	config.database.password, 
-	config.database.host, 
-	config.database.port, 
-	config.database.database, 
-	commander.retries, 
-	commander.dontOverwrite, 
-	commander.perf
-);
-bitcoin.init(config.bitcoinRPC, commander.perf);
-worker.init(commander.verbose, commander.debug, commander.async);
+    .option('--compact', 'Use compact schema (values in satoshis, short edge keys, no derived data) for a new database')
+    .option('--dead-letter <path>', 'File where documents which couldn\'t be written are saved')
+    .option('--record <path>', 'Record imported blocks as JSON files to directory')
+    .option('-f, --follow', 'Keep importing new blocks after reaching the chain tip')
+    .option('-i, --interval <seconds>', 'Interval of polling for new blocks in follow mode', parseInt)
+    .option('-m, --mempool', 'Import unconfirmed transactions from mempool after reaching the chain tip')
+    .option('-z, --zmq <address>', 'Address of node\'s ZMQ publisher of new blocks in follow mode')
+    .option('--server-port <port>', 'Port of HTTP server publishing /metrics and /status', parseInt)
+    .action(setCommand('import'));
 
-const unhandledRejections = new Map();
+withOptions(commander.command('clean'), COLLECTION_OPTIONS)
+    .description('Remove all documents from the selected collections (all of them by default)')
+    .option('-y, --yes', 'Don\'t ask for confirmation')
+    .action(setCommand('clean'));
 
-process.on('exit', handleExit);
-process.on('SIGINT', handleInt);
-process.on('uncaughtException', handleExceptions('uncaughtException'));
-process.on('unhandledRejection', handleExceptions('unhandledRejection'));
-process.on('rejectionHandled', handleExceptions('rejectionHandled'));
+withOptions(commander.command('status'), SOURCE_OPTIONS)
+    .description('Print checkpoint, last imported block, node\'s tip, lag behind it, number of documents in collections and state of running import')
+    .option('--format <format>', `Output format (${status.FORMATS.join(', ')})`, 'table')
+    .option('--server-port <port>', 'Port of running import\'s HTTP server', parseInt)
+    .action(setCommand('status'));
+
+withOptions(commander.command('verify'), SOURCE_OPTIONS, HEIGHT_OPTIONS, COLLECTION_OPTIONS)
+    .description('Verify imported blocks (all of them by default) against the node')
+    .option('--repair', 'Re-import blocks which failed verification')
+    .option('--dead-letter <path>', 'File where documents which couldn\'t be written are saved')
+    .option('--server-port <port>', 'Port of HTTP server publishing /metrics and /status', parseInt)
+    .action(setCommand('verify'));
+
+withOptions(commander.command('query <query> <args...>'), COLLECTION_OPTIONS)
+    .description('Query the graph: forward <txid:n|address>, trace <txid>, paths <address> <address> or cluster <address>')
+    .option('--hops <n>', 'Maximal number of followed transactions', 3)
+    .option('--limit <n>', 'Maximal number of results', 1000)
+    .option('--format <format>', `Output format (${query.FORMATS.join(', ')})`, 'table')
+    .action(setCommand('query'));
+
+withOptions(commander.command('cluster'), COLLECTION_OPTIONS)
+    .description('Cluster addresses of imported blocks up to the checkpoint (import does it too with clusters collections)')
+    .action(setCommand('cluster'));
+
+withOptions(commander.command('utxos [height]'), COLLECTION_OPTIONS)
+    .description('Print outputs unspent currently (or at given height) as JSON lines')
+    .action(setCommand('utxos'));
+
+withOptions(commander.command('convert-compact'))
+    .description('Convert database to compact schema, can be interrupted and run again')
+    .action(setCommand('convert-compact'));
+
+withOptions(commander.command('replay'))
+    .description('Write documents from dead-letter file again')
+    .option('--dead-letter <path>', 'File where documents which couldn\'t be written are saved')
+    .action(setCommand('replay'));
 
-const maxNumCPUs = 10;
-const numWorkers = commander.maxWorkers < maxNumCPUs ? commander.maxWorkers : maxNumCPUs;
+let numWorkers;
 const startTime = moment();
 let bestBlock;
+let tipHeight;
 let lastBlockHeight;
-let blocksCounter = -numWorkers;
+let checkpoint;
+let checkpointing = Promise.resolve();
+// Written blocks above checkpoint (height -> hash)
+const committedBlocks = new Map();
+// Ranges of blocks above checkpoint written completely by this or earlier imports, checkpoint moves over them
+let completedRanges = [];
+let uncommittedBlocks = [];
+let ranges;
+// Heights split into contiguous ranges for workers, idle worker gets the lowest pending one,
+// checkpoint moves only over ranges acknowledged by workers once their documents are written
+let pendingRanges = [];
+// Worker id -> its range and time of its last message
+const assignments = new Map();
+const workerActivity = new Map();
+// Range failed too many times, so workers finish their ranges and exit
+let workFailed = false;
+let numBlocks;
+let blocksCounter = 0;
 let transactionsCounter = 0;
 let inputsOutputsCounter = 0;
 let inputsOutputsLapTime = moment();
 let progress = 0;
+// Height of the last processed (or verified) block and number of verified blocks reported by /status
+let lastProcessedHeight = null;
+let verifiedBlocks = 0;
 
-(async function run() {
+const unhandledRejections = new Map();
+
+if (cluster.isWorker) {
+	// Workers get the command and settings resolved by master, so they don't depend on config file or environment changed since
+	({command, options, config} = JSON.parse(process.env.WORKER_SETTINGS));
+} else {
+	commander
+		.on('command:*', (args) => {
+			console.error(`Unknown command "${args[0]}"`);
+			commander.outputHelp();
+			process.exit(1);
+		})
+		.parse(process.argv);
+
+	if (!command) {
+		commander.help();
+	}
+}
+
+logger.init(options.verbose, options.debug, config ? config.logging : undefined);
+
+process.on('exit', handleExit);
+process.on('SIGINT', handleInt);
+process.on('uncaughtException', handleExceptions('uncaughtException'));
+process.on('unhandledRejection', handleExceptions('unhandledRejection'));
+process.on('rejectionHandled', handleExceptions('rejectionHandled'));
+
+// The last logged error is reported by /status, workers pass their errors to master
+logger.onError((message) => {
 	if (cluster.isMaster) {
-		// logger.debug1('Master started');
-
-		if (commander.clean) {
-			logger.info('Cleaning database');
-			await db.cleanDatabase();
-			logger.info('Database cleaned');
-			process.exit(0);
-		}
-		
-		await db.initializeDatabase();
-	
-		bestBlock = await bitcoin.getBlock(await bitcoin.getBestBlockHash());
-		lastBlockHeight = await db.getLastBlockHeight();
-		progress = Math.round((lastBlockHeight / bestBlock.height) * 100);
-	
-		logger.info(`Best block: ${bestBlock.height}`);
-		logger.info(`Last block: ${lastBlockHeight}`);
-		logger.info(`Progress: ${lastBlockHeight}/${bestBlock.height} (${progress}%)`);
-		
-		lastBlockHeight = lastBlockHeight - maxNumCPUs;
-		if (lastBlockHeight <= 0) {
-			lastBlockHeight = -blocksCounter;
-		}		
-
-		if (numWorkers > 1) {
-			let lastBlockHashPromise;
-			function getLastBlockHash() {
-				let ret;
-				if (!lastBlockHashPromise) {
-					lastBlockHashPromise = bitcoin.getBlockHash(lastBlockHeight + blocksCounter);
+		status.setError(message);
+	} else if (process.connected) {
+		process.send({error: message});
+	}
+});
+
+if (cluster.isMaster) {
+	config = settings.load(options.config || process.env[`${settings.ENVIRONMENT_PREFIX}CONFIG`], getOverrides(options));
+	logger.init(options.verbose, options.debug, config.logging);
+}
+
+network = networks.getNetwork(config.network);
+
+const collections = options.collections ? options.collections.split(',').map((name) => name.trim()) : config.profiles[config.profile];
+
+db.init(config.database, options.retries, options.dontOverwrite, options.perf, collections, config.writes);
+// Only commands reading blocks need the node
+if (['import', 'verify', 'status'].includes(command.name)) {
+	bitcoin.init(config.bitcoinRPC, options.perf);
+}
+script.init(network);
+source.init(options.source || 'rpc', {
+	datadir: options.datadir,
+	fixtures: options.fixtures,
+	record: options.record
+}, options.perf);
+worker.init(options.verbose, options.debug, options.async, options.mempool, config.utxoCacheSize, network);
+
+(async function run() {
+	if (cluster.isWorker) {
+		await runWorker();
+	} else if (command.name === 'import') {
+		await runImport();
+	} else if (command.name === 'clean') {
+		await runClean();
+	} else if (command.name === 'status') {
+		status.print(await status.getStatus(config.server), options.format);
+	} else if (command.name === 'verify') {
+		await runVerify();
+	} else if (command.name === 'query') {
+		await runQuery(...command.args);
+	} else if (command.name === 'cluster') {
+		await runCluster();
+	} else if (command.name === 'utxos') {
+		await runUtxos(...command.args);
+	} else if (command.name === 'convert-compact') {
+		await runConvertCompact();
+	} else if (command.name === 'replay') {
+		await runReplay();
+	}
+})();
+
+// Commands
+
+async function runImport() {
+	// logger.debug1('Master started');
+
+	if (options.mempool && !db.isEnabled('transactions')) {
+		throw new MyError('Importing mempool needs collection "transactions" to keep track of unconfirmed transactions');
+	}
+	if (!db.isEnabled('blocks')) {
+		logger.warning('Without collection "blocks" import can\'t continue where it left off nor handle chain reorganizations');
+	}
+	if (options.follow && (options.to !== undefined || options.blocks)) {
+		logger.warning('Follow mode can\'t be combined with --to or --blocks, ignoring --follow');
+		options.follow = false;
+	}
+	if (options.follow && options.maxWorkers > 1) {
+		logger.warning('Follow mode imports blocks in a single process, ignoring --max-workers');
+	}
+	if (!options.follow && options.maxWorkers > numCPUs) {
+		logger.warning(`There are ${numCPUs} CPUs, using ${numCPUs} workers`);
+	}
+	numWorkers = options.follow ? 1 : Math.min(options.maxWorkers, numCPUs);
+
+	if (config.server.port) {
+		startServer();
+	}
+
+	await db.initializeDatabase();
+
+	const schema = await db.initializeSchema(options.compact);
+	logger.info1(`Database uses ${schema.compact ? 'compact' : 'full'} schema`);
+	await initializeNetwork();
+
+	bestBlock = await source.getBlock(await source.getBestBlockHash());
+	tipHeight = bestBlock.height;
+	lastBlockHeight = await db.getLastBlockHeight();
+
+	checkpoint = await db.getCheckpoint();
+	if (!checkpoint) {
+		// Database imported before checkpoints were introduced (by at most 10 workers) continues a few blocks back
+		checkpoint = {height: Math.max(lastBlockHeight - 10, 0)};
+	}
+	// Explicitly selected blocks above checkpoint are kept (they're written again with the same keys),
+	// otherwise only blocks written completely are kept and the rest above checkpoint is removed
+	const explicit = options.from !== undefined || options.to !== undefined || options.blocks;
+	if (!explicit) {
+		const kept = await getCompletedRanges();
+		const removed = await db.removeAbove(checkpoint.height, kept);
+		if (removed.numBlocks + removed.numTransactions > 0) {
+			logger.info(`Removed ${removed.numBlocks} blocks and ${removed.numTransactions} transactions above checkpoint #${checkpoint.height}`);
+		}
+		if (kept.length > 0) {
+			logger.info(`Keeping completely written blocks ${kept.map((range) => `#${range.from}-#${range.to}`).join(', ')} above checkpoint`);
+		}
+	}
+
+	lastBlockHeight = await worker.checkChain(checkpoint.height);
+	await reloadCheckpoint();
+	progress = Math.round((lastBlockHeight / bestBlock.height) * 100);
+
+	logger.info(`Best block: ${bestBlock.height}`);
+	logger.info(`Last block: ${lastBlockHeight}`);
+	logger.info(`Progress: ${lastBlockHeight}/${bestBlock.height} (${progress}%)`);
+
+	ranges = getRanges(lastBlockHeight + 1, bestBlock.height);
+	if (!explicit) {
+		ranges = [].concat(...ranges.map((range) => subtractRanges(range, completedRanges)));
+	}
+	numBlocks = ranges.reduce((total, range) => total + range.to - range.from + 1, 0);
+	progress = 0;
+
+	if (numBlocks > 0) {
+		logger.info(`Importing ${numBlocks} blocks (${ranges.map((range) => `#${range.from}-#${range.to}`).join(', ')})`);
+	} else {
+		logger.info('No blocks to import, database is at the chain tip');
+	}
+
+	setHeightMetrics();
+	status.setPhase('importing');
+
+	if (numWorkers > 1 && numBlocks > 0) {
+		pendingRanges = splitRanges(ranges, config.workers.rangeSize);
+		logger.info1(`Blocks are split into ${pendingRanges.length} ranges of at most ${config.workers.rangeSize} blocks for ${numWorkers} workers`);
+
+		cluster.on('message', handleWorkerMessage);
+		cluster.on('exit', handleWorkerExit);
+		setInterval(killStalledWorkers, 10000).unref();
+
+		for (let i = 0; i < numWorkers; i++) {
+			forkWorker();
+		}
+	} else {
+		// Database already at the chain tip is followed from the best block
+		let tip = numBlocks === 0 && lastBlockHeight === bestBlock.height ? {height: bestBlock.height, hash: bestBlock.hash} : undefined;
+		for (const range of ranges) {
+			tip = await importBlocks(await source.getBlockHash(range.from), false, range.open ? Infinity : range.to);
+		}
+		await commitBlocks();
+		await updateAddressStats();
+		await updateClusters();
+		if (options.mempool) {
+			await worker.processMempool();
+		}
+		if (options.follow) {
+			await followTip(tip);
+		}
+	}
+}
+
+// Workers are forked by import command
+async function runWorker() {
+	logger.debug1(`Worker #${cluster.worker.id} started`);
+
+	// Master publishes metrics of workers, they're sent at most once a second
+	let metricsTime = 0;
+
+	// Master sends range of heights or null when there's nothing left
+	process.on('message', async (range) => {
+		// logger.debug2(`Worker #${cluster.worker.id} received message from master`, {object: range});
+		if (range === null) {
+			process.send({done: true, metrics: metrics.getSnapshot()});
+			process.disconnect();
+			return;
+		}
+		try {
+			const committed = [];
+			let blockHash = await source.getBlockHash(range.from);
+			for (let height = range.from; height <= range.to; height++) {
+				const stats = await worker.processBlock(blockHash || await source.getBlockHash(height));
+				committed.push([stats.height, stats.hash]);
+				if (Date.now() - metricsTime >= 1000) {
+					stats.metrics = metrics.getSnapshot();
+					metricsTime = Date.now();
 				}
-				ret = lastBlockHashPromise;
-				lastBlockHashPromise = bitcoin.getBlockHash(lastBlockHeight + blocksCounter);
+				process.send(stats);
+				blockHash = stats.nextBlockHash;
+			}
+			// Range is acknowledged once its documents are written, with any of them in dead-letter file it fails
+			const deadLetters = await db.commit();
+			if (deadLetters > 0) {
+				throw new MyError(`Writing ${deadLetters} documents failed`);
+			}
+			process.send({committed, metrics: metrics.getSnapshot()});
+		} catch (error) {
+			logger.error(`Importing blocks #${range.from}-#${range.to} failed`, {error});
+			// Master assigns the range again once the worker exits
+			process.exitCode = 1;
+			process.disconnect();
+		}
+	});
 
-				return ret;
+	await db.initializeSchema();
+
+	process.send('ready');
+}
+
+async function runClean() {
+	const names = collections.filter((name) => db.COLLECTIONS.includes(name));
+	const all = db.COLLECTIONS.every((name) => names.includes(name));
+
+	if (!options.yes && !await confirm(`Remove all documents from collections ${names.join(', ')}${all ? ' and meta' : ''}?`)) {
+		logger.info('Cleaning cancelled');
+		return;
+	}
+
+	logger.info(`Cleaning collections ${names.join(', ')}`);
+	const cleaned = await db.cleanCollections(names);
+	logger.info(`Cleaned ${cleaned.length} collections`);
+}
+
+async function runVerify() {
+	if (config.server.port) {
+		startServer();
+	}
+
+	await db.initializeSchema();
+	await initializeNetwork();
+
+	bestBlock = await source.getBlock(await source.getBestBlockHash());
+	lastBlockHeight = await db.getLastBlockHeight();
+
+	ranges = getRanges(1, Math.min(lastBlockHeight, bestBlock.height));
+	numBlocks = ranges.reduce((total, range) => total + range.to - range.from + 1, 0);
+	tipHeight = ranges.length > 0 ? ranges[ranges.length - 1].to : null;
+	logger.info(`Verifying blocks ${ranges.map((range) => `#${range.from}-#${range.to}`).join(', ')}`);
+
+	verify.init();
+	status.setPhase('verifying');
+	for (const height of getHeights(ranges)) {
+		await verify.verifyBlock(height, options.repair);
+		lastProcessedHeight = height;
+		verifiedBlocks++;
+		status.recordBlocks();
+	}
+	verify.printReport();
+}
+
+async function runQuery(name, args) {
+	const queryOptions = {hops: parseInt(options.hops), limit: parseInt(options.limit)};
+	const numArgs = {forward: 1, trace: 1, paths: 2, cluster: 1};
+
+	if (!numArgs.hasOwnProperty(name)) {
+		throw new MyError(`Unknown query "${name}", use one of: ${Object.keys(numArgs).join(', ')}`);
+	}
+	if (args.length !== numArgs[name]) {
+		throw new MyError(`Query "${name}" needs ${numArgs[name]} argument${numArgs[name] > 1 ? 's' : ''}`);
+	}
+
+	await db.initializeSchema();
+	query.print(await query[name](...args, queryOptions), options.format);
+}
+
+async function runCluster() {
+	if (!db.isClusteringEnabled()) {
+		throw new MyError('Clustering needs collections outputs, addresses, addresses_to_outputs, clusters and addresses_to_clusters (e.g. --profile clusters)');
+	}
+
+	await db.initializeDatabase();
+	await db.initializeSchema();
+	await db.initializeNetwork(network);
+
+	checkpoint = await db.getCheckpoint() || {height: 0};
+	await updateClusters();
+}
+
+async function runUtxos(height) {
+	await db.initializeSchema();
+
+	const cursor = await db.getUnspentOutputs(height === undefined ? null : parseHeight(height));
+	while (cursor.hasNext()) {
+		console.log(JSON.stringify(await cursor.next()));
+	}
+}
+
+async function runConvertCompact() {
+	await db.initializeDatabase();
+
+	logger.info('Converting database to compact schema');
+	if (await db.convertToCompact()) {
+		logger.info('Database converted to compact schema');
+	} else {
+		logger.info('Database already uses compact schema');
+	}
+}
+
+async function runReplay() {
+	await db.initializeDatabase();
+	await db.initializeSchema();
+	await db.initializeNetwork(network);
+
+	logger.info(`Replaying documents from "${config.writes.deadLetterFile}"`);
+	const replayed = await db.replayDeadLetters();
+	logger.info(`Replayed ${replayed.numDocuments} documents, ${replayed.numFailed} of them failed again`);
+}
+
+// Utility functions
+
+function withOptions(command, ...groups) {
+	for (const group of [COMMON_OPTIONS].concat(groups)) {
+		for (const option of group) {
+			command.option(...option);
+		}
+	}
+	return command;
+}
+
+// Command line options overriding settings
+function getOverrides(options) {
+	return {
+		database: {
+			host: options.dbHost,
+			port: options.dbPort,
+			database: options.dbName,
+			username: options.dbUsername,
+			password: options.dbPassword,
+			https: options.dbHttps,
+			caFile: options.dbCaFile
+		},
+		bitcoinRPC: {
+			host: options.rpcHost,
+			port: options.rpcPort,
+			username: options.rpcUsername,
+			password: options.rpcPassword,
+			cookieFile: options.rpcCookieFile
+		},
+		bitcoinZMQ: {
+			address: options.zmq
+		},
+		follow: {
+			interval: options.interval
+		},
+		writes: {
+			deadLetterFile: options.deadLetter
+		},
+		network: options.network,
+		server: {
+			port: options.serverPort
+		},
+		logging: {
+			format: options.logFormat,
+			file: {
+				path: options.logFile
 			}
+		},
+		profile: options.profile
+	};
+}
 
-			cluster.on('message', async (worker, message) => {
-				if (typeof message === 'object') {
-					processStats(message);
-				}
-				blocksCounter++;
+// Command's action gets its arguments followed by the command itself
+function setCommand(name) {
+	return (...args) => {
+		const selected = args.pop();
+		command = {name, args};
+		options = selected.opts();
+	};
+}
 
-				worker.send(await getLastBlockHash());
-			});
+function confirm(question) {
+	const rl = readline.createInterface({input: process.stdin, output: process.stdout});
 
-			cluster.on('exit', (worker, code, signal) => {
-				logger.debug1(`Worker #${worker.id} died`);
-			});
+	return new Promise((resolve) => {
+		rl.question(`${question} [y/N] `, (answer) => {
+			rl.close();
+			resolve(/^y(es)?$/i.test(answer.trim()));
+		});
+	});
+}
 
-			for (let i = 0; i < numWorkers; i++) {
-				cluster.fork();
+// Neither database nor node can belong to another network
+async function initializeNetwork() {
+	await db.initializeNetwork(network);
+
+	let genesis;
+	try {
+		genesis = await source.getBlockHash(0);
+	} catch (error) {
+		// Recorded blocks don't have to start with genesis block
+		if (error.code !== bitcoinErrors.RPC_INVALID_PARAMETER.code) {
+			throw error;
+		}
+		logger.warning(`Source doesn't have genesis block, it can't be checked that it belongs to ${network.name}`);
+	}
+	if (genesis && genesis !== network.genesis) {
+		if (network.name !== 'signet') {
+			throw new MyError(`Node's genesis block "${genesis}" doesn't belong to ${network.name}`);
+		}
+		logger.warning(`Node's genesis block "${genesis}" isn't the default signet's one, custom signet is assumed`);
+	}
+	logger.info1(`Network: ${network.name}`);
+}
+
+// Returns list of height ranges to process, open range continues to the chain tip
+function getRanges(defaultFrom, defaultTo) {
+	const blocks = options.blocks && fs.existsSync(options.blocks) ? fs.readFileSync(options.blocks, 'utf8') : options.blocks;
+
+	return selectRanges({from: options.from, to: options.to, blocks}, defaultFrom, defaultTo, bestBlock.height);
+}
+
+async function importBlocks(nextBlockHash, flush=false, toHeight=Infinity) {
+	let stats;
+	while (nextBlockHash) {
+		stats = await worker.processBlock(nextBlockHash);
+		uncommittedBlocks.push([stats.height, stats.hash]);
+		if (flush || uncommittedBlocks.length >= config.commitInterval) {
+			await commitBlocks();
+			await updateAddressStats();
+			await updateClusters();
+		}
+		processStats(stats);
+		if (stats.height >= toHeight) {
+			break;
+		}
+		nextBlockHash = stats.nextBlockHash;
+		if (!nextBlockHash) {
+			// Stale tip has no next block, so continue from the fork point
+			await commitBlocks();
+			const forkHeight = await worker.checkChain(stats.height);
+			await reloadCheckpoint();
+			if (forkHeight < stats.height) {
+				nextBlockHash = await source.getBlockHash(forkHeight + 1);
 			}
-		} else {
-			let nextBlockHash = await bitcoin.getBlockHash(lastBlockHeight);
-			while (nextBlockHash) {
-				let stats = await worker.processBlock(nextBlockHash);
-				processStats(stats);
-				nextBlockHash = stats.nextBlockHash;
+		}
+	}
+
+	return stats;
+}
+
+// Writes out buffered documents and moves checkpoint over the written blocks, documents put to dead-letter file
+// stop the import with checkpoint below them, so the next import writes the blocks again
+async function commitBlocks() {
+	const deadLetters = await db.commit();
+	const blocks = uncommittedBlocks.splice(0);
+	if (deadLetters > 0) {
+		throw new MyError(`Writing ${deadLetters} documents failed, checkpoint stays at block #${checkpoint.height}` +
+			(blocks.length > 0 ? ` below blocks #${blocks[0][0]}-#${blocks[blocks.length - 1][0]}` : ''));
+	}
+	await advanceCheckpoint(blocks);
+}
+
+// Checkpoint moves only over contiguous heights, blocks written out of order wait for the missing ones
+function advanceCheckpoint(blocks) {
+	checkpointing = checkpointing.then(async () => {
+		for (const [height, hash] of blocks) {
+			if (height > checkpoint.height) {
+				committedBlocks.set(height, hash);
 			}
-			db.commit();
-		}
-	} else if (cluster.isWorker) {
-		logger.debug1(`Worker #${cluster.worker.id} started`);
-
-		process.on('message', async (message) => {
-			// logger.debug2(`Worker #${cluster.worker.id} received message from master`, {object: message});
-			try {
-				const ret = await worker.processBlock(message);
-				process.send(ret);
-			} catch (error) {
-				logger.error(error.message, {error});
+		}
+
+		let height = checkpoint.height;
+		while (committedBlocks.has(height + 1) || findRange(completedRanges, height + 1)) {
+			height = committedBlocks.has(height + 1) ? height + 1 : findRange(completedRanges, height + 1).to;
+		}
+		if (height > checkpoint.height) {
+			checkpoint = {height, hash: committedBlocks.has(height) ? committedBlocks.get(height) : await db.getBlockHash(height)};
+			for (const h of committedBlocks.keys()) {
+				if (h <= height) {
+					committedBlocks.delete(h);
+				}
 			}
-		});
+			await db.saveCheckpoint(checkpoint.height, checkpoint.hash);
+			logger.info2(`Checkpoint moved to block #${checkpoint.height}`);
+			setHeightMetrics();
+		}
+
+		// Blocks written above checkpoint are kept by the next import
+		const completed = mergeRanges(completedRanges.concat(toRanges(committedBlocks.keys())))
+			.filter((range) => range.to > checkpoint.height);
+		if (JSON.stringify(completed) !== JSON.stringify(completedRanges)) {
+			completedRanges = completed;
+			await db.saveCompletedRanges(completedRanges);
+		}
+	});
+
+	return checkpointing;
+}
 
-		process.send('ready');
+// Chain reorganization moves checkpoint back
+async function reloadCheckpoint() {
+	await checkpointing;
+	checkpoint = await db.getCheckpoint() || {height: 0};
+	for (const height of committedBlocks.keys()) {
+		if (height > checkpoint.height) {
+			committedBlocks.delete(height);
+		}
 	}
-})();
+	completedRanges = (await db.getCompletedRanges()).filter((range) => range.to > checkpoint.height);
+	setHeightMetrics();
+}
+
+// Completely written ranges above checkpoint whose first and last blocks are still in the chain
+async function getCompletedRanges() {
+	const kept = [];
+	for (const stored of await db.getCompletedRanges()) {
+		const range = {from: Math.max(stored.from, checkpoint.height + 1), to: stored.to};
+		if (range.from > range.to) {
+			continue;
+		}
+		if (db.isEnabled('blocks') && (await db.getBlockHash(range.from) !== await worker.getNodeBlockHash(range.from) ||
+				await db.getBlockHash(range.to) !== await worker.getNodeBlockHash(range.to))) {
+			logger.warning(`Blocks #${range.from}-#${range.to} are not in the main chain anymore, they're removed`);
+			continue;
+		}
+		kept.push(range);
+	}
+	return kept;
+}
+
+// Address balances are updated only for blocks below checkpoint
+async function updateAddressStats() {
+	const statsHeight = await db.updateAddressStats(checkpoint.height);
+	logger.info1(`Address balances updated up to block #${statsHeight}`);
+	return statsHeight;
+}
+
+// Blocks are clustered in height order once they have enough confirmations
+async function updateClusters() {
+	if (!db.isClusteringEnabled()) {
+		return;
+	}
+
+	const clustersHeight = await db.updateClusters(checkpoint.height - config.clustering.confirmations, config.clustering);
+	logger.info1(`Addresses clustered up to block #${clustersHeight}`);
+	return clustersHeight;
+}
+
+async function followTip(tip) {
+	if (config.bitcoinZMQ.address && bitcoin.subscribe(config.bitcoinZMQ.address, config.bitcoinZMQ.topic)) {
+		logger.info(`Following chain tip with ZMQ notifications from ${config.bitcoinZMQ.address} and polling interval ${config.follow.interval} seconds`);
+	} else {
+		logger.info(`Following chain tip with polling interval ${config.follow.interval} seconds`);
+	}
+	status.setPhase('following');
+
+	while (true) {
+		// Without notification in time it falls back to polling
+		await bitcoin.waitForBlock(config.follow.interval * 1000);
+
+		const bestBlockHash = await source.getBestBlockHash();
+		if (!tip || bestBlockHash !== tip.hash) {
+			logger.info1(`New best block "${bestBlockHash}"`);
+
+			const forkHeight = await worker.checkChain(tip ? tip.height : await db.getLastBlockHeight());
+			await reloadCheckpoint();
+			// Reorganization to a shorter chain (e.g. invalidateblock) leaves nothing above the fork point
+			const nextBlockHash = await worker.getNodeBlockHash(forkHeight + 1);
+			if (nextBlockHash) {
+				tip = await importBlocks(nextBlockHash, true) || tip;
+			} else {
+				tip = {height: forkHeight, hash: bestBlockHash};
+			}
+		}
+
+		if (options.mempool) {
+			await worker.processMempool();
+		}
+	}
+}
+
+function forkWorker() {
+	const forked = cluster.fork({WORKER_SETTINGS: JSON.stringify({command, options, config})});
+	metrics.setWorkerState(forked.id, 'starting');
+	workerActivity.set(forked.id, Date.now());
+}
+
+function assignRange(worker) {
+	const range = workFailed ? undefined : pendingRanges.shift();
+	if (!range) {
+		// Tells worker to exit
+		worker.send(null);
+		return;
+	}
+	assignments.set(worker.id, range);
+	logger.debug1(`Worker #${worker.id} imports blocks #${range.from}-#${range.to}`);
+	worker.send({from: range.from, to: range.to});
+}
+
+async function handleWorkerMessage(worker, message) {
+	workerActivity.set(worker.id, Date.now());
+	metrics.set('worker_last_activity_timestamp_seconds', {worker: worker.id}, Date.now() / 1000);
+	if (message === 'ready') {
+		metrics.setWorkerState(worker.id, 'importing');
+		assignRange(worker);
+		return;
+	}
+	if (typeof message !== 'object' || message === null) {
+		return;
+	}
+	if (message.error) {
+		status.setError(`Worker #${worker.id}: ${message.error}`);
+		return;
+	}
+	if (message.metrics) {
+		metrics.setWorkerSnapshot(worker.id, message.metrics);
+	}
+
+	if (message.committed) {
+		const range = assignments.get(worker.id);
+		assignments.delete(worker.id);
+		logger.debug1(`Worker #${worker.id} finished blocks #${range.from}-#${range.to}`);
+		try {
+			await advanceCheckpoint(message.committed);
+		} catch (error) {
+			stopWork(`Moving checkpoint over blocks #${range.from}-#${range.to} failed`, error);
+		}
+		assignRange(worker);
+	} else if (!message.done) {
+		metrics.increment('worker_blocks_total', {worker: worker.id});
+		processStats(message);
+	}
+}
+
+// Range of failed (or killed) worker is assigned again to a new worker, unless it failed too many times
+async function handleWorkerExit(worker, code, signal) {
+	const range = assignments.get(worker.id);
+	assignments.delete(worker.id);
+	workerActivity.delete(worker.id);
+	logger.debug1(`Worker #${worker.id} exited`);
+	metrics.setWorkerState(worker.id, code === 0 && !signal ? 'done' : 'dead');
+	metrics.retireWorker(worker.id);
+
+	if (range) {
+		range.attempts++;
+		if (range.attempts < config.workers.rangeAttempts) {
+			logger.warning(`Worker #${worker.id} exited ${signal ? `on ${signal}` : `with code ${code}`} before finishing blocks #${range.from}-#${range.to}, they're assigned again`);
+			pendingRanges.push(range);
+			pendingRanges.sort((a, b) => a.from - b.from);
+			forkWorker();
+		} else {
+			stopWork(`Importing blocks #${range.from}-#${range.to} failed ${range.attempts} times`);
+		}
+	}
+
+	// Blocks are imported out of order, so address balances are updated once all workers finish
+	if (Object.keys(cluster.workers).length === 0) {
+		if (pendingRanges.length > 0 && !workFailed) {
+			logger.error(`Workers exited before importing ${pendingRanges.length} ranges of blocks`);
+			process.exitCode = 1;
+		}
+		try {
+			// Failed move of checkpoint is reported already
+			await checkpointing.catch(() => {});
+			await updateAddressStats();
+			await updateClusters();
+		} catch (error) {
+			stopWork('Updating address balances and clusters failed', error);
+		}
+	}
+}
+
+// No more ranges are assigned, workers finish theirs and import exits with error
+function stopWork(message, error) {
+	logger.error(`${message}, import stops at the checkpoint`, {error});
+	workFailed = true;
+	process.exitCode = 1;
+}
+
+// Worker which hasn't reported any block for too long is killed, its range is assigned again once it exits
+function killStalledWorkers() {
+	for (const id of assignments.keys()) {
+		const worker = cluster.workers[id];
+		if (worker && Date.now() - workerActivity.get(id) > config.workers.stallTimeout * 1000) {
+			logger.warning(`Worker #${id} hasn't reported any block for ${config.workers.stallTimeout} seconds, killing it`);
+			worker.process.kill('SIGKILL');
+		}
+	}
+}
 
 function processStats(stats) {
 	// logger.debug1(`Master received message from worker #${worker.id}`, {object: message});
+	blocksCounter++;
 	transactionsCounter += stats.numTransactions;
 	inputsOutputsCounter += stats.numInputs;
 	inputsOutputsCounter += stats.numOutputs;
 
-	const height = lastBlockHeight + blocksCounter;
-	const newProgress = Math.round((height / bestBlock.height) * 100)
+	metrics.increment('blocks_total');
+	metrics.increment('transactions_total', {}, stats.numTransactions);
+	metrics.increment('inputs_total', {}, stats.numInputs);
+	metrics.increment('outputs_total', {}, stats.numOutputs);
+	metrics.set('last_block_height', {}, stats.height);
+	metrics.set('last_block_timestamp_seconds', {}, Date.now() / 1000);
+	lastProcessedHeight = stats.height;
+	status.recordBlocks();
+	// Blocks mined during import are above the tip known at its start
+	tipHeight = Math.max(tipHeight, stats.height);
+	setHeightMetrics();
+
+	// Blocks mined during import (or in follow mode) extend the open range
+	if (blocksCounter > numBlocks) {
+		numBlocks = blocksCounter;
+	}
+
+	const newProgress = Math.round((blocksCounter / numBlocks) * 100)
 	if (newProgress > progress) {
-		logger.info(`Progress: ${height}/${bestBlock.height} (${Math.round((height / bestBlock.height) * 100)}%)`);
+		logger.info(`Progress: ${blocksCounter}/${numBlocks} blocks (${newProgress}%), last block #${stats.height}`);
 		progress = newProgress;
 	}
 
-	if (commander.perf >= 1 && inputsOutputsCounter % 1000 === 0) {
+	if (options.perf >= 1 && inputsOutputsCounter % 1000 === 0) {
 		logger.info(`1k inputs and outputs in ${moment.duration(moment().diff(inputsOutputsLapTime)).asMilliseconds() / 1000} seconds`);
 		inputsOutputsLapTime = moment();
 	}
 }
 
+function setHeightMetrics() {
+	metrics.set('imported_height', {}, checkpoint.height);
+	metrics.set('node_tip_height', {}, tipHeight);
+	metrics.set('lag_blocks', {}, Math.max(tipHeight - checkpoint.height, 0));
+}
+
+// State of import (or verify) built on the counters above, status command prints it too
+function getImportStatus() {
+	const { phase, since } = status.getPhase();
+	const verifying = phase === 'verifying';
+	const height = verifying ? lastProcessedHeight : checkpoint ? checkpoint.height : null;
+	const targetHeight = tipHeight !== undefined ? tipHeight : null;
+	const blocks = verifying ? verifiedBlocks : blocksCounter;
+	const rates = status.getRates();
+
+	return {
+		pid: process.pid,
+		phase,
+		since,
+		startTime: startTime.toISOString(),
+		height,
+		targetHeight,
+		lastBlockHeight: lastProcessedHeight,
+		blocks,
+		numBlocks: numBlocks !== undefined ? numBlocks : null,
+		progress: verifying ? Math.round((blocks / Math.max(numBlocks, 1)) * 100) : progress,
+		transactions: transactionsCounter,
+		inputsOutputs: inputsOutputsCounter,
+		rates,
+		eta: status.getEta(height !== null && targetHeight !== null ? targetHeight - height : null, rates),
+		lastError: status.getError(),
+		config: status.redact(config)
+	};
+}
+
+// HTTP server of master publishing metrics and status, it doesn't keep the process running
+function startServer() {
+	const routes = {
+		'/metrics': () => ({contentType: metrics.CONTENT_TYPE, body: metrics.render()}),
+		'/status': () => ({contentType: 'application/json; charset=utf-8', body: JSON.stringify(getImportStatus(), null, '\t')})
+	};
+
+	const server = http.createServer((request, response) => {
+		const route = routes[request.url.split('?')[0]];
+		if (request.method !== 'GET' || !route) {
+			response.writeHead(404, {'Content-Type': 'text/plain'});
+			response.end('Not found\n');
+			return;
+		}
+		const { contentType, body } = route();
+		response.writeHead(200, {'Content-Type': contentType});
+		response.end(body);
+	});
+	server.on('error', (error) => logger.error(`HTTP server on port ${config.server.port} failed`, {error}));
+	server.listen(config.server.port, config.server.host, () => {
+		logger.info(`Publishing ${Object.keys(routes).join(', ')} on http://${config.server.host}:${config.server.port}`);
+	});
+	server.unref();
+}
+
 function handleExceptions (type) {
 	if (type === 'uncaughtException') {
 		return (error) => {
-			if (commander.debug >= 1) {
+			if (options.debug >= 1) {
 				logger.error(`uncaughtException`, {error});
 			} else {
 				logger.error(null, {error});
@@ -197,7 +1005,7 @@ function handleInt () {
 function handleExit (code) {
 	if (unhandledRejections.size > 0) {
 		unhandledRejections.forEach((error) => {
-			if (commander.debug >= 1) {
+			if (options.debug >= 1) {
 				logger.error(`unhandledRejection`, {error});
 			} else {
 				logger.error(null, {error});
@@ -1,10 +1,23 @@
 'use strict';
 
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const cluster = require('cluster');
+
 const winston = require('winston');
 const moment = require('moment');
 
 const { MyError } = require('./errors');
 
+// Console and log file have pretty (colorized on console) or JSON (one object per line) format
+const FORMATS = ['pretty', 'json'];
+// Log file is rotated when the hour or day changes (besides reaching its maximum size)
+const INTERVALS = {
+	hourly: 'YYYY-MM-DD HH',
+	daily: 'YYYY-MM-DD'
+};
+
 const config = {
 	levels: {
 		error: 0,
@@ -29,25 +42,135 @@ const config = {
 		info5: 'blue',
 		debug1: 'green',
 		debug2: 'green'
-	},
+	}
 	// padLevels: true,
-	transports: [
-		new winston.transports.Console({
-			level: 'debug2',
-			timestamp: () => moment().format('HH:mm:ss'),
-			colorize: true,
-			prettyPrint: true,
-			depth: 5,
-			stderrLevels: ['error', 'warning'],
-			formatter: null
-		// align: true
-		})
-	]
 };
 
+// Lines of log file are written together after this delay (in milliseconds) or once they reach this size (in bytes)
+const FLUSH_DELAY = 100;
+const FLUSH_SIZE = 65536;
+
+// Functions called with every logged error
+const errorListeners = [];
+// Transport writing the log file, it's flushed by logger.flush()
+let fileTransport = null;
+
+// Appends lines to the log file, they're buffered so logging doesn't wait for the disk,
+// buffer is written out synchronously on exit so messages logged on exit aren't lost
+class RotatingFile extends winston.Transport {
+	constructor ({ file, format, maxSize, maxFiles, interval }) {
+		super({level: 'debug2'});
+		this.name = 'file';
+		this.file = file;
+		this.formatter = getFormatter(format, false);
+		this.maxSize = maxSize;
+		this.maxFiles = maxFiles;
+		this.interval = interval;
+		this.lines = [];
+		this.bufferedSize = 0;
+		this.timer = null;
+		this.flushOnExit = () => this.flush();
+		process.on('exit', this.flushOnExit);
+		this.open();
+	}
+
+	open () {
+		this.fd = fs.openSync(this.file, 'a');
+		const stats = fs.fstatSync(this.fd);
+		this.size = stats.size;
+		this.period = this.getPeriod(stats.size > 0 ? stats.mtime : new Date());
+	}
+
+	log (level, message, meta, callback) {
+		const line = `${this.formatter({level, message, meta, timestamp: () => moment().format('YYYY-MM-DD HH:mm:ss'), label: getLabel()})}\n`;
+		const length = Buffer.byteLength(line);
+
+		if ((this.maxSize > 0 && this.size > 0 && this.size + length > this.maxSize) || this.getPeriod(new Date()) !== this.period) {
+			this.rotate();
+		}
+		this.lines.push(line);
+		this.size += length;
+		this.bufferedSize += length;
+		if (this.bufferedSize >= FLUSH_SIZE) {
+			this.flush();
+		} else if (!this.timer) {
+			this.timer = setTimeout(() => this.flush(), FLUSH_DELAY);
+			this.timer.unref();
+		}
+
+		callback(null, true);
+	}
+
+	flush () {
+		clearTimeout(this.timer);
+		this.timer = null;
+		if (this.lines.length > 0) {
+			fs.writeSync(this.fd, this.lines.join(''));
+			this.lines = [];
+			this.bufferedSize = 0;
+		}
+	}
+
+	close () {
+		this.flush();
+		fs.closeSync(this.fd);
+		process.removeListener('exit', this.flushOnExit);
+	}
+
+	// importer.log is renamed to importer.log.1, importer.log.1 to importer.log.2 etc., the oldest one is removed
+	rotate () {
+		this.flush();
+		fs.closeSync(this.fd);
+		for (let i = this.maxFiles; i >= 1; i--) {
+			const rotated = `${this.file}.${i}`;
+			if (fs.existsSync(rotated)) {
+				if (i === this.maxFiles) {
+					fs.unlinkSync(rotated);
+				} else {
+					fs.renameSync(rotated, `${this.file}.${i + 1}`);
+				}
+			}
+		}
+		fs.renameSync(this.file, `${this.file}.1`);
+		this.open();
+	}
+
+	getPeriod (date) {
+		return this.interval ? moment(date).format(INTERVALS[this.interval]) : null;
+	}
+}
+
 let logger = {
-	init: (verbose, debug) => {
-		const winstonLogger = new (winston.Logger)(config);
+	FORMATS,
+	INTERVALS: Object.keys(INTERVALS),
+	// Settings are the logging section of config (see config.js), console has pretty format without them
+	init: (verbose, debug, settings = { format: 'pretty', file: { path: null } }) => {
+		const transports = [
+			new winston.transports.Console({
+				level: 'debug2',
+				timestamp: getTimestamp,
+				label: getLabel(),
+				colorize: true,
+				stderrLevels: ['error', 'warning'],
+				formatter: getFormatter(settings.format, true)
+			// align: true
+			})
+		];
+		if (fileTransport) {
+			fileTransport.close();
+			fileTransport = null;
+		}
+		if (settings.file.path) {
+			fileTransport = new RotatingFile({
+				file: getWorkerFile(settings.file.path),
+				format: settings.file.format,
+				maxSize: settings.file.maxSize,
+				maxFiles: settings.file.maxFiles,
+				interval: settings.file.interval
+			});
+			transports.push(fileTransport);
+		}
+		const winstonLogger = new (winston.Logger)(Object.assign({transports}, config));
 	
 		for (let level in config.levels) {
 			let match = level.match(/(info|debug)(\d)/);
@@ -61,49 +184,120 @@ let logger = {
 				logger[level] = logMessage(verbose, debug, winstonLogger, level);
 			}
 		}
+	},
+	onError: (listener) => {
+		errorListeners.push(listener);
+	},
+	// Writes out buffered lines of the log file
+	flush: () => {
+		if (fileTransport) {
+			fileTransport.flush();
+		}
 	}
 };
 
+// Context of the message (height and hash of block, txid of transaction) is written out in JSON format only
 function logMessage (verbose, debug, logger, level) {
-	return (message, { error = null , object = null } = {}) => {
+	return (message, { error = null , object = null, height, hash, txid } = {}) => {
 		// console.log(`message=${message}, error=${error}, object=${object}`)
-		let stack;
+		const entry = {
+			context: { height, hash, txid }
+		};
 		if (error instanceof Error) {
-			stack = error.stack;
+			entry.error = error.toString();
 			if (error instanceof MyError) {
-				if (message) {
-					message = `${message}: ${error.toString()}`;
-				} else {
-					message = error.toString();
-				}
 				if (error.error) {
 					// stack = error.error.stack;
-					message = `${message}: ${error.error.toString()}`;
+					entry.cause = error.error.toString();
 				}
 				if (!object && error.object) {
 					object = error.object;
 				}
-			} else {
-				if (message) {
-					message = `${message}: ${error.toString()}`;
-				} else {
-					message = error.toString();
-				}
 			}
 
-			if (debug >= 2 && stack) {
-				message = `${message}\n${removeFirstLine(stack)}`;
+			if (debug >= 2 && error.stack) {
+				entry.stack = removeFirstLine(error.stack);
 			}
 		}
 
 		if (debug >= 1 && object) {
-			logger.log(level, message, object);
-		} else {
-			logger.log(level, message);
+			entry.object = object;
+		}
+
+		logger.log(level, message || '', entry);
+
+		if (level === 'error') {
+			for (const listener of errorListeners) {
+				listener(joinMessage(message, entry));
+			}
 		}
 	};
 }
 
+// Utility functions
+
+function getFormatter (format, colorize) {
+	if (format === 'pretty') {
+		return (options) => formatPretty(options, colorize);
+	} else if (format === 'json') {
+		return formatJSON;
+	}
+	throw new MyError(`Unknown log format "${format}", use one of: ${FORMATS.join(', ')}`);
+}
+
+// Message is followed by the error and its cause, stack and object are on the next lines
+function formatPretty ({ level, message, meta, timestamp, label }, colorize) {
+	message = joinMessage(message, meta);
+	if (meta.stack) {
+		message = `${message}\n${meta.stack}`;
+	}
+
+	let output = `${timestamp()} - ${colorize ? winston.config.colorize(level) : level}: ${label ? `[${label}] ` : ''}${message}`;
+	if (meta.object) {
+		output += ' ' + '\n' + util.inspect(meta.object, false, 5, colorize);
+	}
+
+	return output;
+}
+
+function formatJSON ({ level, message, meta }) {
+	const entry = Object.assign({
+		timestamp: new Date().toISOString(),
+		level,
+		pid: process.pid,
+		worker: cluster.isWorker ? cluster.worker.id : undefined,
+		message: message || meta.error
+	}, meta.context);
+
+	for (const field of ['error', 'cause', 'stack', 'object']) {
+		entry[field] = meta[field];
+	}
+
+	return JSON.stringify(entry);
+}
+
+function joinMessage (message, { error, cause }) {
+	return [message, error, cause].filter((part) => part).join(': ');
+}
+
+function getTimestamp () {
+	return moment().format('HH:mm:ss');
+}
+
+function getLabel () {
+	return cluster.isWorker ? `worker #${cluster.worker.id}` : null;
+}
+
+// Every worker writes its own file (e.g. importer.worker2.log), so the files can be rotated independently
+function getWorkerFile (file) {
+	if (cluster.isMaster) {
+		return file;
+	}
+	const extension = path.extname(file);
+
+	return `${file.slice(0, file.length - extension.length)}.worker${cluster.worker.id}${extension}`;
+}
+
 function removeFirstLine (string) {
 	let lines = string.split('\n');
 	lines.splice(0, 1);
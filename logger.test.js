@@ -0,0 +1,105 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { MyError } = require('./errors');
+const logger = require('./logger');
+
+let dir;
+
+test.beforeEach(() => {
+	dir = fs.mkdtempSync(path.join(os.tmpdir(), 'logger-'));
+});
+
+test.afterEach(() => {
+	// Closes the log file
+	logger.init(0, 0);
+	fs.rmSync(dir, {recursive: true, force: true});
+});
+
+function init (file, { debug = 0, maxSize = 0, maxFiles = 5, interval = null } = {}) {
+	logger.init(0, debug, {format: 'pretty', file: {path: file, format: 'json', maxSize, maxFiles, interval}});
+}
+
+function readLines (file) {
+	return fs.readFileSync(file, 'utf8').split('\n').filter((line) => line.length > 0).map((line) => JSON.parse(line));
+}
+
+test('log file has one JSON object per line with context of the message', () => {
+	const file = path.join(dir, 'importer.log');
+	init(file, {debug: 1});
+
+	logger.info('Processing block', {height: 5, hash: 'abc', txid: undefined});
+	logger.info2('Not logged at verbosity 0');
+	logger.warning('Reading failed', {error: new MyError('Reading block failed', {error: new Error('socket hang up'), object: {height: 5}})});
+	// Lines are buffered until they're flushed
+	assert.strictEqual(fs.readFileSync(file, 'utf8'), '');
+	logger.flush();
+
+	const lines = readLines(file);
+	assert.strictEqual(lines.length, 2);
+	assert.strictEqual(lines[0].level, 'info');
+	assert.strictEqual(lines[0].message, 'Processing block');
+	assert.strictEqual(lines[0].height, 5);
+	assert.strictEqual(lines[0].hash, 'abc');
+	assert.strictEqual(lines[0].pid, process.pid);
+	assert.ok(!lines[0].hasOwnProperty('txid'));
+	assert.ok(!Number.isNaN(Date.parse(lines[0].timestamp)));
+
+	assert.strictEqual(lines[1].level, 'warning');
+	assert.strictEqual(lines[1].error, 'Reading block failed');
+	assert.strictEqual(lines[1].cause, 'Error: socket hang up');
+	assert.deepStrictEqual(lines[1].object, {height: 5});
+	assert.ok(!lines[1].hasOwnProperty('stack'));
+});
+
+test('buffered lines are written out after a while', async () => {
+	const file = path.join(dir, 'importer.log');
+	init(file);
+
+	logger.info('First');
+	await new Promise((resolve) => setTimeout(resolve, 300));
+
+	assert.deepStrictEqual(readLines(file).map((line) => line.message), ['First']);
+});
+
+test('log file is rotated when it would exceed max size and the oldest file is removed', () => {
+	const file = path.join(dir, 'importer.log');
+	init(file, {maxSize: 200, maxFiles: 2});
+
+	for (let i = 1; i <= 4; i++) {
+		logger.info(`Message ${i} ${'x'.repeat(60)}`);
+	}
+	logger.flush();
+
+	assert.deepStrictEqual(fs.readdirSync(dir).sort(), ['importer.log', 'importer.log.1', 'importer.log.2']);
+	assert.deepStrictEqual(readLines(file).map((line) => line.message.split(' ')[1]), ['4']);
+	assert.deepStrictEqual(readLines(`${file}.1`).map((line) => line.message.split(' ')[1]), ['3']);
+	assert.deepStrictEqual(readLines(`${file}.2`).map((line) => line.message.split(' ')[1]), ['2']);
+	for (const name of fs.readdirSync(dir)) {
+		assert.ok(fs.statSync(path.join(dir, name)).size <= 200);
+	}
+});
+
+test('log file is rotated when the hour changes', (t) => {
+	t.mock.timers.enable({apis: ['Date'], now: new Date(2024, 0, 1, 10, 59).getTime()});
+	const file = path.join(dir, 'importer.log');
+	init(file, {interval: 'hourly'});
+
+	logger.info('Before');
+	logger.info('Still before');
+	t.mock.timers.tick(60000);
+	logger.info('After');
+	logger.flush();
+
+	assert.deepStrictEqual(readLines(`${file}.1`).map((line) => line.message), ['Before', 'Still before']);
+	assert.deepStrictEqual(readLines(file).map((line) => line.message), ['After']);
+});
+
+test('unknown log format fails', () => {
+	assert.throws(() => logger.init(0, 0, {format: 'xml', file: {path: null}}), /Unknown log format "xml"/);
+});
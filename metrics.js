@@ -0,0 +1,201 @@
+'use strict';
+
+const { MyError } = require('./errors');
+
+// Metrics published in Prometheus text format by master, workers send it snapshots of their metrics which are summed up
+
+const PREFIX = 'importer_';
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Upper bounds (in seconds) of buckets of request durations
+const DURATION_BUCKETS = [0.001, 0.005, 0.01, 0.05, 0.1, 0.5, 1, 5, 10, 60];
+
+const WORKER_STATES = ['starting', 'importing', 'done', 'dead'];
+
+const DEFINITIONS = {
+	imported_height: {type: 'gauge', help: 'Height of the checkpoint, all blocks up to it are written'},
+	last_block_height: {type: 'gauge', help: 'Height of the last processed block'},
+	node_tip_height: {type: 'gauge', help: 'Height of the node\'s best block'},
+	lag_blocks: {type: 'gauge', help: 'Number of blocks between the checkpoint and the node\'s best block'},
+	last_block_timestamp_seconds: {type: 'gauge', help: 'Time when the last block was processed'},
+	blocks_total: {type: 'counter', help: 'Processed blocks'},
+	transactions_total: {type: 'counter', help: 'Processed transactions'},
+	inputs_total: {type: 'counter', help: 'Processed inputs'},
+	outputs_total: {type: 'counter', help: 'Processed outputs'},
+	rpc_request_duration_seconds: {type: 'histogram', help: 'Duration of node\'s RPC requests', buckets: DURATION_BUCKETS},
+	arangodb_request_duration_seconds: {type: 'histogram', help: 'Duration of ArangoDB requests', buckets: DURATION_BUCKETS},
+	buffered_documents: {type: 'gauge', help: 'Documents buffered for bulk import'},
+	pending_imports: {type: 'gauge', help: 'Bulk imports in flight'},
+	import_retries_total: {type: 'counter', help: 'Documents written again after transient error'},
+	dead_letters_total: {type: 'counter', help: 'Documents saved to dead-letter file'},
+	conflicts_total: {type: 'counter', help: 'Writes retried after conflict'},
+	worker_state: {type: 'gauge', help: 'State of worker (1 for the current state)'},
+	worker_blocks_total: {type: 'counter', help: 'Blocks processed by worker'},
+	worker_last_activity_timestamp_seconds: {type: 'gauge', help: 'Time of the last message from worker'}
+};
+
+// Metric name -> (serialized labels -> value), histograms have value {buckets, sum, count}
+const values = new Map();
+// Worker id -> its last snapshot
+const workerSnapshots = new Map();
+// Functions setting gauges which are read only when metrics are published
+const collectors = [];
+
+function increment (name, labels={}, value=1) {
+	const series = getSeries(name);
+	const key = getKey(labels);
+
+	series.set(key, (series.get(key) || 0) + value);
+}
+
+function set (name, labels={}, value) {
+	getSeries(name).set(getKey(labels), value);
+}
+
+function observe (name, labels={}, value) {
+	const series = getSeries(name);
+	const key = getKey(labels);
+	const buckets = DEFINITIONS[name].buckets;
+
+	if (!series.has(key)) {
+		series.set(key, {buckets: buckets.map(() => 0), sum: 0, count: 0});
+	}
+	const histogram = series.get(key);
+	buckets.forEach((bound, i) => {
+		if (value <= bound) {
+			histogram.buckets[i]++;
+		}
+	});
+	histogram.sum += value;
+	histogram.count++;
+}
+
+// Observes duration (in seconds) of the request, even a failed one
+async function time (name, labels, request) {
+	const start = process.hrtime.bigint();
+	try {
+		return await request();
+	} finally {
+		observe(name, labels, Number(process.hrtime.bigint() - start) / 1e9);
+	}
+}
+
+function setWorkerState (id, state) {
+	for (const workerState of WORKER_STATES) {
+		set('worker_state', {worker: id, state: workerState}, workerState === state ? 1 : 0);
+	}
+}
+
+function onCollect (collector) {
+	collectors.push(collector);
+}
+
+function getSnapshot () {
+	for (const collector of collectors) {
+		collector();
+	}
+
+	return Array.from(values, ([name, series]) => [name, Array.from(series)]);
+}
+
+function setWorkerSnapshot (id, snapshot) {
+	workerSnapshots.set(id, snapshot);
+}
+
+// Counters of finished worker stay, its gauges are dropped
+function retireWorker (id) {
+	if (workerSnapshots.has(id)) {
+		workerSnapshots.set(id, workerSnapshots.get(id).filter(([name]) => DEFINITIONS[name].type !== 'gauge'));
+	}
+}
+
+function render () {
+	const merged = new Map();
+
+	for (const snapshot of [getSnapshot()].concat(Array.from(workerSnapshots.values()))) {
+		for (const [name, series] of snapshot) {
+			if (!merged.has(name)) {
+				merged.set(name, new Map());
+			}
+			const mergedSeries = merged.get(name);
+			for (const [key, value] of series) {
+				mergedSeries.set(key, add(mergedSeries.get(key), value));
+			}
+		}
+	}
+
+	const lines = [];
+	for (const name of Object.keys(DEFINITIONS)) {
+		const definition = DEFINITIONS[name];
+		lines.push(`# HELP ${PREFIX}${name} ${definition.help}`);
+		lines.push(`# TYPE ${PREFIX}${name} ${definition.type}`);
+		for (const [key, value] of merged.get(name) || []) {
+			const labels = JSON.parse(key);
+			if (definition.type === 'histogram') {
+				definition.buckets.forEach((bound, i) => {
+					lines.push(formatSample(`${name}_bucket`, Object.assign({}, labels, {le: String(bound)}), value.buckets[i]));
+				});
+				lines.push(formatSample(`${name}_bucket`, Object.assign({}, labels, {le: '+Inf'}), value.count));
+				lines.push(formatSample(`${name}_sum`, labels, value.sum));
+				lines.push(formatSample(`${name}_count`, labels, value.count));
+			} else {
+				lines.push(formatSample(name, labels, value));
+			}
+		}
+	}
+
+	return lines.join('\n') + '\n';
+}
+
+// Utility functions
+
+function getSeries (name) {
+	if (!DEFINITIONS.hasOwnProperty(name)) {
+		throw new MyError(`Unknown metric "${name}"`);
+	}
+	if (!values.has(name)) {
+		values.set(name, new Map());
+	}
+	return values.get(name);
+}
+
+// Labels are sorted, so the same labels give the same key
+function getKey (labels) {
+	return JSON.stringify(Object.keys(labels).sort().reduce((sorted, label) => {
+		sorted[label] = String(labels[label]);
+		return sorted;
+	}, {}));
+}
+
+function add (total, value) {
+	if (total === undefined) {
+		return typeof value === 'object' ? {buckets: value.buckets.slice(), sum: value.sum, count: value.count} : value;
+	} else if (typeof value === 'object') {
+		return {
+			buckets: total.buckets.map((count, i) => count + value.buckets[i]),
+			sum: total.sum + value.sum,
+			count: total.count + value.count
+		};
+	}
+	return total + value;
+}
+
+function formatSample (name, labels, value) {
+	const formattedLabels = Object.keys(labels).map((label) => `${label}="${labels[label].replace(/[\\"\n]/g, (c) => c === '\n' ? '\\n' : `\\${c}`)}"`);
+
+	return `${PREFIX}${name}${formattedLabels.length > 0 ? `{${formattedLabels.join(',')}}` : ''} ${value}`;
+}
+
+module.exports = {
+	CONTENT_TYPE,
+	increment,
+	set,
+	observe,
+	time,
+	setWorkerState,
+	onCollect,
+	getSnapshot,
+	setWorkerSnapshot,
+	retireWorker,
+	render
+};
@@ -0,0 +1,90 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const metrics = require('./metrics');
+
+// Samples of the metric in rendered text
+function getSamples (text, name) {
+	return text.split('\n').filter((line) => line.startsWith(`importer_${name}{`) || line.startsWith(`importer_${name} `));
+}
+
+test('every metric has HELP and TYPE lines', () => {
+	const text = metrics.render();
+
+	assert.ok(text.endsWith('\n'));
+	assert.ok(text.includes('# HELP importer_blocks_total Processed blocks\n# TYPE importer_blocks_total counter\n'));
+	assert.ok(text.includes('# HELP importer_node_tip_height Height of the node\'s best block\n# TYPE importer_node_tip_height gauge\n'));
+	assert.ok(text.includes('# TYPE importer_rpc_request_duration_seconds histogram\n'));
+});
+
+test('labels are sorted and their values escaped', () => {
+	metrics.increment('conflicts_total', {collection: 'a"b\\c\nd', attempt: 2}, 3);
+
+	assert.deepStrictEqual(getSamples(metrics.render(), 'conflicts_total'), ['importer_conflicts_total{attempt="2",collection="a\\"b\\\\c\\nd"} 3']);
+});
+
+test('histogram has cumulative buckets, sum and count', () => {
+	metrics.observe('arangodb_request_duration_seconds', {operation: 'import'}, 0.003);
+	metrics.observe('arangodb_request_duration_seconds', {operation: 'import'}, 2);
+
+	const samples = getSamples(metrics.render(), 'arangodb_request_duration_seconds_bucket');
+	assert.strictEqual(samples[0], 'importer_arangodb_request_duration_seconds_bucket{operation="import",le="0.001"} 0');
+	assert.strictEqual(samples[1], 'importer_arangodb_request_duration_seconds_bucket{operation="import",le="0.005"} 1');
+	assert.strictEqual(samples[7], 'importer_arangodb_request_duration_seconds_bucket{operation="import",le="5"} 2');
+	assert.strictEqual(samples[samples.length - 1], 'importer_arangodb_request_duration_seconds_bucket{operation="import",le="+Inf"} 2');
+	assert.deepStrictEqual(getSamples(metrics.render(), 'arangodb_request_duration_seconds_sum'), ['importer_arangodb_request_duration_seconds_sum{operation="import"} 2.003']);
+	assert.deepStrictEqual(getSamples(metrics.render(), 'arangodb_request_duration_seconds_count'), ['importer_arangodb_request_duration_seconds_count{operation="import"} 2']);
+});
+
+test('metrics of workers are summed up, retired worker keeps its counters but not gauges', () => {
+	metrics.increment('blocks_total', {}, 5);
+	metrics.set('buffered_documents', {}, 100);
+	const snapshot = (blocks, buffered) => [
+		['blocks_total', [['{}', blocks]]],
+		['buffered_documents', [['{}', buffered]]],
+		['rpc_request_duration_seconds', [['{"method":"getblock"}', {buckets: [1, 1, 1, 1, 1, 1, 1, 1, 1, 1], sum: 0.001, count: 1}]]]
+	];
+	metrics.setWorkerSnapshot(1, snapshot(10, 20));
+	metrics.setWorkerSnapshot(2, snapshot(100, 200));
+
+	let text = metrics.render();
+	assert.deepStrictEqual(getSamples(text, 'blocks_total'), ['importer_blocks_total 115']);
+	assert.deepStrictEqual(getSamples(text, 'buffered_documents'), ['importer_buffered_documents 320']);
+	assert.deepStrictEqual(getSamples(text, 'rpc_request_duration_seconds_count'), ['importer_rpc_request_duration_seconds_count{method="getblock"} 2']);
+
+	metrics.retireWorker(2);
+	text = metrics.render();
+	assert.deepStrictEqual(getSamples(text, 'blocks_total'), ['importer_blocks_total 115']);
+	assert.deepStrictEqual(getSamples(text, 'buffered_documents'), ['importer_buffered_documents 120']);
+	assert.deepStrictEqual(getSamples(text, 'rpc_request_duration_seconds_count'), ['importer_rpc_request_duration_seconds_count{method="getblock"} 2']);
+
+	// Worker which sent no snapshot has nothing to retire
+	metrics.retireWorker(3);
+	assert.strictEqual(metrics.render(), text);
+});
+
+test('collectors set gauges when metrics are published', () => {
+	let height = 10;
+	metrics.onCollect(() => metrics.set('node_tip_height', {}, height));
+
+	assert.deepStrictEqual(getSamples(metrics.render(), 'node_tip_height'), ['importer_node_tip_height 10']);
+	height = 11;
+	assert.deepStrictEqual(getSamples(metrics.render(), 'node_tip_height'), ['importer_node_tip_height 11']);
+});
+
+test('worker state has one series per state', () => {
+	metrics.setWorkerState(4, 'importing');
+
+	assert.deepStrictEqual(getSamples(metrics.render(), 'worker_state'), [
+		'importer_worker_state{state="starting",worker="4"} 0',
+		'importer_worker_state{state="importing",worker="4"} 1',
+		'importer_worker_state{state="done",worker="4"} 0',
+		'importer_worker_state{state="dead",worker="4"} 0'
+	]);
+});
+
+test('unknown metric fails', () => {
+	assert.throws(() => metrics.increment('blocks'), /Unknown metric "blocks"/);
+});
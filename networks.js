@@ -0,0 +1,58 @@
+'use strict';
+
+const { MyError } = require('./errors');
+
+// Chain parameters which the import depends on, the network is selected by `network` setting
+const NETWORKS = {
+	mainnet: {
+		halvingInterval: 210000,
+		pubKeyHash: 0x00,
+		scriptHash: 0x05,
+		bech32: 'bc',
+		rpcPort: 8332,
+		// Subdirectory of node's data directory with cookie file
+		datadir: '',
+		genesis: '000000000019d6689c085ae165831e934ff763ae46a2a6c172b3f1b60a8ce26f'
+	},
+	testnet: {
+		halvingInterval: 210000,
+		pubKeyHash: 0x6f,
+		scriptHash: 0xc4,
+		bech32: 'tb',
+		rpcPort: 18332,
+		datadir: 'testnet3',
+		genesis: '000000000933ea01ad0ee984209779baaec3ced90fa3f408719526f8d77f4943'
+	},
+	// Default signet, custom signets have their own genesis block
+	signet: {
+		halvingInterval: 210000,
+		pubKeyHash: 0x6f,
+		scriptHash: 0xc4,
+		bech32: 'tb',
+		rpcPort: 38332,
+		datadir: 'signet',
+		genesis: '00000008819873e925422c1ff0f99f7cc9bbb232af63a077a480a3633bee1ef6'
+	},
+	regtest: {
+		halvingInterval: 150,
+		pubKeyHash: 0x6f,
+		scriptHash: 0xc4,
+		bech32: 'bcrt',
+		rpcPort: 18443,
+		datadir: 'regtest',
+		genesis: '0f9188f13cb7b2c71f2a335e3a4fc328bf5beb436012afca590b1a11466e2206'
+	}
+};
+
+function getNetwork (name) {
+	if (!NETWORKS.hasOwnProperty(name)) {
+		throw new MyError(`Unknown network "${name}", use one of: ${Object.keys(NETWORKS).join(', ')}`);
+	}
+
+	return Object.assign({name}, NETWORKS[name]);
+}
+
+module.exports = {
+	NETWORKS: Object.keys(NETWORKS),
+	getNetwork
+};
@@ -0,0 +1,83 @@
+'use strict';
+
+const { MyError } = require('./errors');
+
+const db = require('./db');
+
+const FORMATS = ['table', 'json'];
+
+// Follows funds from the output (txid:n) or address forward
+async function forward (start, { hops, limit }) {
+	return toRows(await db.getFundsForward(start, hops, limit));
+}
+
+// Traces sources of the transaction's funds backwards
+async function trace (transactionId, { hops, limit }) {
+	return toRows(await db.getFundsSources(transactionId, hops, limit));
+}
+
+// Finds paths of funds from the first address to the second one
+async function paths (fromAddress, toAddress, { hops, limit }) {
+	return toRows(await db.getFundsPaths(fromAddress, toAddress, hops, limit));
+}
+
+// Lists addresses in the cluster of the address with their balances
+async function cluster (address, { limit }) {
+	return (await db.getClusterAddresses(address, limit)).map((row) => Object.assign({}, row, {balance: toBTC(row.balance)}));
+}
+
+function print (rows, format='table') {
+	if (format === 'json') {
+		console.log(JSON.stringify(rows, null, '\t'));
+	} else if (format === 'table') {
+		console.log(formatTable(rows));
+	} else {
+		throw new MyError(`Unknown output format "${format}", use one of: ${FORMATS.join(', ')}`);
+	}
+}
+
+// Utility functions
+
+function toRows (results) {
+	return results.map((result) => Object.assign({}, result, {value: toBTC(result.value)}));
+}
+
+// Values are printed in BTC whatever schema is used
+function toBTC (value) {
+	return value === undefined || value === null ? null : db.getSatoshis(value) / 1e8;
+}
+
+function formatTable (rows) {
+	if (rows.length === 0) {
+		return 'No results';
+	}
+
+	const columns = Object.keys(rows[0]);
+	const cells = rows.map((row) => columns.map((column) => formatCell(column, row[column])));
+	const widths = columns.map((column, i) => Math.max(column.length, ...cells.map((row) => row[i].length)));
+	const formatRow = (row) => row.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd();
+
+	return [
+		formatRow(columns),
+		formatRow(widths.map((width) => '-'.repeat(width)))
+	].concat(cells.map(formatRow)).join('\n');
+}
+
+function formatCell (column, value) {
+	if (value === undefined || value === null) {
+		return '';
+	} else if (Array.isArray(value)) {
+		return value.join(column === 'path' ? ' > ' : ', ');
+	}
+	return String(value);
+}
+
+module.exports = {
+	FORMATS,
+	forward,
+	trace,
+	paths,
+	cluster,
+	print,
+	formatTable
+};
@@ -0,0 +1,41 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const db = require('./db');
+const query = require('./query');
+
+test('table has padded columns and lists joined in cells', () => {
+	const table = query.formatTable([
+		{address: 'a', value: 1.5, path: ['x', 'y'], heights: [1, 2]},
+		{address: 'longer', value: null, path: [], heights: undefined}
+	]);
+
+	assert.strictEqual(table, [
+		'address  value  path   heights',
+		'-------  -----  -----  -------',
+		'a        1.5    x > y  1, 2',
+		'longer'
+	].join('\n'));
+	assert.strictEqual(query.formatTable([]), 'No results');
+});
+
+test('rows are printed as table or JSON', (t) => {
+	const log = t.mock.method(console, 'log', () => {});
+	const rows = [{address: 'a', value: 1}];
+
+	query.print(rows);
+	query.print(rows, 'json');
+
+	assert.deepStrictEqual(log.mock.calls.map((call) => call.arguments[0]), [query.formatTable(rows), JSON.stringify(rows, null, '\t')]);
+	assert.throws(() => query.print(rows, 'csv'), /Unknown output format "csv", use one of: table, json/);
+});
+
+test('values and balances are converted to BTC', async (t) => {
+	t.mock.method(db, 'getFundsForward', async () => [{txid: 't', value: 0.00000001}, {txid: 'u', value: null}]);
+	t.mock.method(db, 'getClusterAddresses', async () => [{address: 'a', balance: 12.34567891}, {address: 'b'}]);
+
+	assert.deepStrictEqual(await query.forward('t:0', {hops: 1, limit: 10}), [{txid: 't', value: 0.00000001}, {txid: 'u', value: null}]);
+	assert.deepStrictEqual(await query.cluster('a', {limit: 10}), [{address: 'a', balance: 12.34567891}, {address: 'b', balance: null}]);
+});
@@ -0,0 +1,138 @@
+'use strict';
+
+const { MyError } = require('./errors');
+
+// Ranges of block heights {from, to} (both inclusive)
+
+// Returns sorted ranges with overlapping and adjacent ones joined
+function mergeRanges (ranges) {
+	const merged = [];
+
+	for (const range of ranges.slice().sort((a, b) => a.from - b.from)) {
+		const last = merged[merged.length - 1];
+		if (last && range.from <= last.to + 1) {
+			last.to = Math.max(last.to, range.to);
+		} else {
+			merged.push({from: range.from, to: range.to});
+		}
+	}
+
+	return merged;
+}
+
+// Returns sorted ranges of the heights
+function toRanges (heights) {
+	return mergeRanges(Array.from(heights, (height) => ({from: height, to: height})));
+}
+
+// Returns parts of the range which aren't in the other ranges, the last part stays open if it ends where the range does
+function subtractRanges (range, ranges) {
+	const parts = [];
+
+	let from = range.from;
+	for (const other of mergeRanges(ranges)) {
+		if (other.to < from || other.from > range.to) {
+			continue;
+		}
+		if (other.from > from) {
+			parts.push({from, to: other.from - 1});
+		}
+		from = other.to + 1;
+	}
+	if (from <= range.to) {
+		parts.push({from, to: range.to});
+	}
+
+	return parts.map((part) => range.open && part.to === range.to ? Object.assign(part, {open: true}) : part);
+}
+
+// Returns the range containing the height
+function findRange (ranges, height) {
+	return ranges.find((range) => range.from <= height && height <= range.to);
+}
+
+// Splits ranges into contiguous ranges of at most `size` heights, which are assigned to workers
+function splitRanges (ranges, size) {
+	const split = [];
+	for (const range of ranges) {
+		for (let from = range.from; from <= range.to; from += size) {
+			split.push({from, to: Math.min(from + size - 1, range.to), attempts: 0});
+		}
+	}
+	return split;
+}
+
+// Returns ranges selected by options (list of blocks or from and to heights), open range continues to the chain tip.
+// Default range which is empty (database at the chain tip) selects nothing, explicitly selected empty range fails.
+function selectRanges ({ from, to, blocks }, defaultFrom, defaultTo, maxHeight) {
+	if (blocks) {
+		if (from !== undefined || to !== undefined) {
+			throw new MyError('Option --blocks can\'t be combined with --from or --to');
+		}
+		return parseHeights(blocks, maxHeight);
+	}
+
+	const range = {
+		from: from !== undefined ? parseHeight(from) : defaultFrom,
+		to: to !== undefined ? parseHeight(to) : defaultTo,
+		open: to === undefined
+	};
+
+	if (range.from > range.to) {
+		if (from === undefined && to === undefined) {
+			return [];
+		}
+		throw new MyError(`Height range #${range.from}-#${range.to} is empty`);
+	}
+	if (range.to > maxHeight) {
+		throw new MyError(`Height ${range.to} is above the best block #${maxHeight}`);
+	}
+
+	return [range];
+}
+
+// Parses list of heights and ranges (e.g. "100 200-300,400") up to the max height
+function parseHeights (list, maxHeight) {
+	return list.split(/[\s,]+/).filter((item) => item.length > 0).map((item) => {
+		const match = item.match(/^(\d+)(?:-(\d+))?$/);
+		if (!match) {
+			throw new MyError(`Invalid block height or range "${item}"`);
+		}
+		const range = {from: parseHeight(match[1]), to: parseHeight(match[2] || match[1])};
+		if (range.from > range.to) {
+			throw new MyError(`Height range #${range.from}-#${range.to} is empty`);
+		}
+		if (range.to > maxHeight) {
+			throw new MyError(`Height ${range.to} is above the best block #${maxHeight}`);
+		}
+		return range;
+	});
+}
+
+function parseHeight (value) {
+	const height = Number(value);
+	if (!Number.isInteger(height) || height < 0) {
+		throw new MyError(`Invalid block height "${value}"`);
+	}
+	return height;
+}
+
+function * getHeights (ranges) {
+	for (const range of ranges) {
+		for (let height = range.from; height <= range.to; height++) {
+			yield height;
+		}
+	}
+}
+
+module.exports = {
+	mergeRanges,
+	toRanges,
+	subtractRanges,
+	findRange,
+	splitRanges,
+	selectRanges,
+	parseHeights,
+	parseHeight,
+	getHeights
+};
@@ -0,0 +1,58 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const ranges = require('./ranges');
+
+test('list of heights and ranges is parsed', () => {
+	assert.deepStrictEqual(ranges.parseHeights('100 200-300,\n400,,0-0 ', 1000),
+		[{from: 100, to: 100}, {from: 200, to: 300}, {from: 400, to: 400}, {from: 0, to: 0}]);
+	assert.deepStrictEqual(ranges.parseHeights(' ', 1000), []);
+});
+
+test('invalid heights and ranges fail', () => {
+	assert.throws(() => ranges.parseHeights('100 abc', 1000), /Invalid block height or range "abc"/);
+	assert.throws(() => ranges.parseHeights('-5', 1000), /Invalid block height or range "-5"/);
+	assert.throws(() => ranges.parseHeights('1-2-3', 1000), /Invalid block height or range "1-2-3"/);
+	assert.throws(() => ranges.parseHeights('300-200', 1000), /Height range #300-#200 is empty/);
+	assert.throws(() => ranges.parseHeights('900-1001', 1000), /Height 1001 is above the best block #1000/);
+
+	assert.strictEqual(ranges.parseHeight('42'), 42);
+	assert.throws(() => ranges.parseHeight('4.2'), /Invalid block height "4.2"/);
+	assert.throws(() => ranges.parseHeight('-1'), /Invalid block height "-1"/);
+});
+
+test('heights of ranges are listed in their order', () => {
+	assert.deepStrictEqual(Array.from(ranges.getHeights([{from: 5, to: 7}, {from: 1, to: 1}, {from: 3, to: 2}])), [5, 6, 7, 1]);
+});
+
+test('ranges are split into ranges of workers', () => {
+	assert.deepStrictEqual(ranges.splitRanges([{from: 0, to: 24}, {from: 30, to: 30}, {from: 40, to: 49}], 10), [
+		{from: 0, to: 9, attempts: 0},
+		{from: 10, to: 19, attempts: 0},
+		{from: 20, to: 24, attempts: 0},
+		{from: 30, to: 30, attempts: 0},
+		{from: 40, to: 49, attempts: 0}
+	]);
+	assert.deepStrictEqual(ranges.splitRanges([], 10), []);
+});
+
+test('ranges are selected by options', () => {
+	assert.deepStrictEqual(ranges.selectRanges({}, 101, 200, 200), [{from: 101, to: 200, open: true}]);
+	assert.deepStrictEqual(ranges.selectRanges({from: '150'}, 101, 200, 200), [{from: 150, to: 200, open: true}]);
+	assert.deepStrictEqual(ranges.selectRanges({to: '180'}, 101, 200, 200), [{from: 101, to: 180, open: false}]);
+	assert.deepStrictEqual(ranges.selectRanges({blocks: '5 7-8'}, 101, 200, 200), [{from: 5, to: 5}, {from: 7, to: 8}]);
+
+	assert.throws(() => ranges.selectRanges({blocks: '5', from: '1'}, 101, 200, 200), /can't be combined/);
+	assert.throws(() => ranges.selectRanges({to: '201'}, 101, 200, 200), /Height 201 is above the best block #200/);
+});
+
+test('database at the chain tip selects no blocks unless they\'re selected explicitly', () => {
+	assert.deepStrictEqual(ranges.selectRanges({}, 201, 200, 200), []);
+	// Empty database and chain with genesis block only
+	assert.deepStrictEqual(ranges.selectRanges({}, 1, 0, 0), []);
+
+	assert.throws(() => ranges.selectRanges({to: '150'}, 201, 200, 200), /Height range #201-#150 is empty/);
+	assert.throws(() => ranges.selectRanges({from: '190', to: '180'}, 101, 200, 200), /Height range #190-#180 is empty/);
+});
@@ -0,0 +1,192 @@
+'use strict';
+
+const crypto = require('crypto');
+
+const bs58check = require('bs58check');
+const { bech32, bech32m } = require('bech32');
+
+// Address prefixes of the network, mainnet unless init() selects another one
+let PREFIXES = {
+	pubKeyHash: 0x00,
+	scriptHash: 0x05,
+	bech32: 'bc'
+};
+
+const OP_0 = 0x00;
+const OP_PUSHDATA1 = 0x4c;
+const OP_PUSHDATA2 = 0x4d;
+const OP_PUSHDATA4 = 0x4e;
+const OP_1 = 0x51;
+const OP_16 = 0x60;
+const OP_RETURN = 0x6a;
+const OP_DUP = 0x76;
+const OP_EQUAL = 0x87;
+const OP_EQUALVERIFY = 0x88;
+const OP_HASH160 = 0xa9;
+const OP_CHECKSIG = 0xac;
+const OP_CHECKMULTISIG = 0xae;
+
+function init (network) {
+	PREFIXES = {
+		pubKeyHash: network.pubKeyHash,
+		scriptHash: network.scriptHash,
+		bech32: network.bech32
+	};
+}
+
+// Decodes output script the same way as Bitcoin Core's RPC (version 22 and later) does
+function decodeScriptPubKey (script) {
+	const analysis = analyzeScriptPubKey(script);
+	const scriptPubKey = {
+		hex: script.toString('hex'),
+		type: analysis.type
+	};
+
+	// Node gives address only for scripts which are addresses themselves
+	if (analysis.type !== 'pubkey' && analysis.type !== 'multisig' && analysis.addresses.length === 1) {
+		scriptPubKey.address = analysis.addresses[0].address;
+	}
+
+	return scriptPubKey;
+}
+
+// Classifies output script, returns its type, hash (hash160 or witness program as hex)
+// and addresses able to spend it, also for P2PK and bare multisig which the node gives no addresses for
+function analyzeScriptPubKey (script) {
+	if (script.length === 25 && script[0] === OP_DUP && script[1] === OP_HASH160 && script[2] === 20 &&
+			script[23] === OP_EQUALVERIFY && script[24] === OP_CHECKSIG) {
+		return getAnalysis('pubkeyhash', script.slice(3, 23), [getBase58Address('pubkeyhash', script.slice(3, 23))]);
+	} else if (script.length === 23 && script[0] === OP_HASH160 && script[1] === 20 && script[22] === OP_EQUAL) {
+		return getAnalysis('scripthash', script.slice(2, 22), [getBase58Address('scripthash', script.slice(2, 22))]);
+	} else if (script.length >= 4 && script.length <= 42 && (script[0] === OP_0 || (script[0] >= OP_1 && script[0] <= OP_16)) &&
+			script[1] === script.length - 2 && script[1] >= 2) {
+		const version = script[0] === OP_0 ? 0 : script[0] - OP_1 + 1;
+		const program = script.slice(2);
+		let type = 'witness_unknown';
+		if (version === 0 && program.length === 20) {
+			type = 'witness_v0_keyhash';
+		} else if (version === 0 && program.length === 32) {
+			type = 'witness_v0_scripthash';
+		} else if (version === 1 && program.length === 32) {
+			type = 'witness_v1_taproot';
+		} else if (version === 0) {
+			// Version 0 program of other length is invalid and can't be spent
+			return getAnalysis('nonstandard', null, []);
+		}
+		return getAnalysis(type, program, [{address: encodeSegwitAddress(version, program), type, hash: program.toString('hex')}]);
+	} else if (script.length > 0 && script[0] === OP_RETURN) {
+		return getAnalysis('nulldata', null, []);
+	}
+
+	const operations = parseScript(script);
+	if (operations && isPubKey(operations)) {
+		const hash = hash160(operations[0].data);
+		return getAnalysis('pubkey', hash, [getBase58Address('pubkeyhash', hash)]);
+	} else if (operations && isMultisig(operations)) {
+		return getAnalysis('multisig', hash160(script), operations.slice(1, -2)
+			.map((operation) => getBase58Address('pubkeyhash', hash160(operation.data))));
+	}
+
+	return getAnalysis('nonstandard', null, []);
+}
+
+function getAnalysis (type, hash, addresses) {
+	return {
+		type,
+		hash: hash ? hash.toString('hex') : null,
+		addresses
+	};
+}
+
+// P2PK and multisig keys get P2PKH address, so they link up with P2PKH outputs of the same key
+function getBase58Address (type, hash) {
+	return {
+		address: encodeBase58Address(type === 'scripthash' ? PREFIXES.scriptHash : PREFIXES.pubKeyHash, hash),
+		type,
+		hash: hash.toString('hex')
+	};
+}
+
+// Splits script to operations, returns undefined for malformed script
+function parseScript (script) {
+	const operations = [];
+	let offset = 0;
+
+	while (offset < script.length) {
+		const opcode = script[offset++];
+		let length = 0;
+
+		if (opcode > OP_0 && opcode < OP_PUSHDATA1) {
+			length = opcode;
+		} else if (opcode === OP_PUSHDATA1) {
+			if (offset + 1 > script.length) return;
+			length = script.readUInt8(offset);
+			offset += 1;
+		} else if (opcode === OP_PUSHDATA2) {
+			if (offset + 2 > script.length) return;
+			length = script.readUInt16LE(offset);
+			offset += 2;
+		} else if (opcode === OP_PUSHDATA4) {
+			if (offset + 4 > script.length) return;
+			length = script.readUInt32LE(offset);
+			offset += 4;
+		}
+
+		if (offset + length > script.length) {
+			return;
+		}
+
+		operations.push({
+			opcode,
+			data: length > 0 ? script.slice(offset, offset + length) : null
+		});
+		offset += length;
+	}
+
+	return operations;
+}
+
+function isPubKey (operations) {
+	return operations.length === 2 &&
+		operations[0].data && isValidPubKey(operations[0].data) &&
+		operations[1].opcode === OP_CHECKSIG;
+}
+
+function isMultisig (operations) {
+	if (operations.length < 4 || operations[operations.length - 1].opcode !== OP_CHECKMULTISIG) {
+		return false;
+	}
+
+	const required = operations[0].opcode;
+	const total = operations[operations.length - 2].opcode;
+	const pubKeys = operations.slice(1, -2);
+
+	return required >= OP_1 && required <= OP_16 && total >= OP_1 && total <= OP_16 &&
+		required <= total && total - OP_1 + 1 === pubKeys.length &&
+		pubKeys.every((operation) => operation.data && isValidPubKey(operation.data));
+}
+
+function isValidPubKey (data) {
+	return (data.length === 33 && (data[0] === 0x02 || data[0] === 0x03)) ||
+		(data.length === 65 && data[0] === 0x04);
+}
+
+function encodeBase58Address (prefix, hash) {
+	return bs58check.encode(Buffer.concat([Buffer.from([prefix]), hash]));
+}
+
+// Version 0 uses bech32, later versions bech32m (BIP350)
+function encodeSegwitAddress (version, program) {
+	const encoding = version === 0 ? bech32 : bech32m;
+	return encoding.encode(PREFIXES.bech32, [version].concat(bech32.toWords(program)));
+}
+
+function hash160 (data) {
+	return crypto.createHash('ripemd160').update(crypto.createHash('sha256').update(data).digest()).digest();
+}
+
+module.exports = {
+	init,
+	decodeScriptPubKey,
+	analyzeScriptPubKey
+};
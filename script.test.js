@@ -0,0 +1,80 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const bs58check = require('bs58check');
+
+const networks = require('./networks');
+const script = require('./script');
+
+const HASH = '751e76e8199196d454941c45d1b3a323f1433bd6';
+const PUBKEY = '0279be667ef9dcbbac55a06295ce870b07029bfcdb2dce28d959f2815b16f81798';
+const GENESIS_PUBKEY = '04678afdb0fe5548271967f1a67130b7105cd6a828e03909a67962e0ea1f61deb649f6bc3f4cef38c4f35504e51ec112de5c384df7ba0b8d578a4c702b6bf11d5f';
+
+const decode = (hex) => script.decodeScriptPubKey(Buffer.from(hex, 'hex'));
+const analyze = (hex) => script.analyzeScriptPubKey(Buffer.from(hex, 'hex'));
+
+test('addresses of mainnet output scripts', () => {
+	script.init(networks.getNetwork('mainnet'));
+
+	assert.deepStrictEqual(decode(`76a914${HASH}88ac`), {hex: `76a914${HASH}88ac`, type: 'pubkeyhash', address: '1BgGZ9tcN4rm9KBzDn7KprQz87SZ26SAMH'});
+	assert.deepStrictEqual(decode(`0014${HASH}`), {hex: `0014${HASH}`, type: 'witness_v0_keyhash', address: 'bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4'});
+	assert.strictEqual(decode('00201863143c14c5166804bd19203356da136c985678cd4d27a1b8c6329604903262').address,
+		'bc1qrp33g0q5c5txsp9arysrx4k6zdkfs4nce4xj0gdcccefvpysxf3qccfmv3');
+	assert.strictEqual(decode('512079be667ef9dcbbac55a06295ce870b07029bfcdb2dce28d959f2815b16f81798').address,
+		'bc1p0xlxvlhemja6c4dqv22uapctqupfhlxm9h8z3k2e72q4k9hcz7vqzk5jj0');
+
+	const p2sh = decode(`a914${HASH}87`);
+	assert.strictEqual(p2sh.type, 'scripthash');
+	assert.deepStrictEqual(bs58check.decode(p2sh.address), Buffer.from(`05${HASH}`, 'hex'));
+});
+
+test('P2PK and bare multisig get P2PKH addresses of their keys but no node address', () => {
+	script.init(networks.getNetwork('mainnet'));
+
+	const p2pk = `41${GENESIS_PUBKEY}ac`;
+	assert.deepStrictEqual(decode(p2pk), {hex: p2pk, type: 'pubkey'});
+	assert.deepStrictEqual(analyze(p2pk).addresses.map((address) => address.address), ['1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNa']);
+
+	const multisig = `5141${GENESIS_PUBKEY}21${PUBKEY}52ae`;
+	assert.deepStrictEqual(decode(multisig), {hex: multisig, type: 'multisig'});
+	const analysis = analyze(multisig);
+	assert.deepStrictEqual(analysis.addresses.map((address) => address.address), ['1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNa', '1BgGZ9tcN4rm9KBzDn7KprQz87SZ26SAMH']);
+	assert.deepStrictEqual(analysis.addresses.map((address) => address.type), ['pubkeyhash', 'pubkeyhash']);
+});
+
+test('scripts without addresses', () => {
+	script.init(networks.getNetwork('mainnet'));
+
+	assert.deepStrictEqual(analyze('6a0568656c6c6f'), {type: 'nulldata', hash: null, addresses: []});
+	// Version 0 program must have 20 or 32 bytes
+	assert.deepStrictEqual(analyze(`0015${HASH}00`), {type: 'nonstandard', hash: null, addresses: []});
+	// Push longer than the script
+	assert.deepStrictEqual(analyze('4c05ffff'), {type: 'nonstandard', hash: null, addresses: []});
+	// Multisig requiring more keys than it has
+	assert.strictEqual(analyze(`5221${PUBKEY}51ae`).type, 'nonstandard');
+
+	const unknown = analyze(`5214${HASH}`);
+	assert.strictEqual(unknown.type, 'witness_unknown');
+	assert.strictEqual(unknown.addresses.length, 1);
+});
+
+test('output scripts decode the same as node\'s regtest blocks', () => {
+	script.init(networks.getNetwork('regtest'));
+
+	const fixtures = path.join(__dirname, 'fixtures', 'regtest');
+	for (const file of fs.readdirSync(fixtures)) {
+		const block = JSON.parse(fs.readFileSync(path.join(fixtures, file), 'utf8'));
+		for (const tx of block.tx) {
+			for (const output of tx.vout) {
+				const expected = Object.assign({}, output.scriptPubKey);
+				delete expected.asm;
+				delete expected.desc;
+				assert.deepStrictEqual(decode(output.scriptPubKey.hex), expected);
+			}
+		}
+	}
+});
@@ -0,0 +1,228 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const yaml = require('js-yaml');
+
+const { MyError } = require('./errors');
+const networks = require('./networks');
+const logger = require('./logger');
+const clustering = require('./clustering');
+
+const defaults = require('./config');
+
+// Every setting can be set by environment variable, e.g. IMPORTER_DATABASE_HOST or IMPORTER_WRITES_MAX_PENDING_IMPORTS
+const ENVIRONMENT_PREFIX = 'IMPORTER_';
+
+// Types of settings which have null default, others have the type of their default
+const TYPES = {
+	'bitcoinRPC.port': 'number',
+	'server.port': 'number'
+};
+
+// Settings which have to be positive integers, ports are checked separately
+const POSITIVE_INTEGERS = ['bitcoinRPC.timeout', 'follow.interval', 'utxoCacheSize', 'writes.maxPendingImports', 'commitInterval', 'logging.file.maxFiles', 'clustering.batchSize',
+	'workers.rangeSize', 'workers.stallTimeout', 'workers.rangeAttempts'];
+const NON_NEGATIVE_INTEGERS = ['writes.importRetries', 'writes.importRetryDelay', 'logging.file.maxSize', 'clustering.confirmations'];
+
+// Returns settings layered in this order: defaults (config.js), config file, environment variables and overrides (command line options)
+function load (file=null, overrides={}, environment=process.env) {
+	const settings = clone(defaults);
+
+	if (file) {
+		merge(settings, readFile(file), `config file "${file}"`);
+	}
+	merge(settings, readEnvironment(environment), 'environment');
+	merge(settings, overrides, 'command line');
+
+	validate(settings);
+
+	if (settings.bitcoinRPC.port === null) {
+		settings.bitcoinRPC.port = networks.getNetwork(settings.network).rpcPort;
+	}
+	if (settings.bitcoinRPC.username === null && settings.bitcoinRPC.cookieFile === null) {
+		settings.bitcoinRPC.cookieFile = path.join(os.homedir(), '.bitcoin', networks.getNetwork(settings.network).datadir, '.cookie');
+	}
+
+	return settings;
+}
+
+// Utility functions
+
+function readFile (file) {
+	let content;
+	try {
+		content = fs.readFileSync(file, 'utf8');
+	} catch (error) {
+		throw new MyError(`Reading config file "${file}" failed`, {error});
+	}
+
+	let settings;
+	try {
+		settings = /\.ya?ml$/i.test(file) ? yaml.safeLoad(content) : JSON.parse(content);
+	} catch (error) {
+		throw new MyError(`Parsing config file "${file}" failed`, {error});
+	}
+	if (!isObject(settings)) {
+		throw new MyError(`Config file "${file}" doesn't contain object with settings`);
+	}
+
+	return settings;
+}
+
+// Values are converted to the type of their default, lists are comma separated
+function readEnvironment (environment) {
+	const settings = {};
+
+	for (const settingPath of getPaths(defaults)) {
+		const name = getEnvironmentVariable(settingPath);
+		if (environment[name] === undefined) {
+			continue;
+		}
+
+		const value = parseValue(environment[name], getType(settingPath));
+		if (value === undefined) {
+			throw new MyError(`Invalid value "${environment[name]}" of environment variable ${name}`);
+		}
+		setValue(settings, settingPath, value);
+	}
+
+	return settings;
+}
+
+function parseValue (string, type) {
+	if (type === 'number') {
+		return string.trim() !== '' && Number.isFinite(Number(string)) ? Number(string) : undefined;
+	} else if (type === 'boolean') {
+		return /^(true|1|yes)$/i.test(string) ? true : /^(false|0|no)$/i.test(string) ? false : undefined;
+	} else if (type === 'array') {
+		return string.split(',').map((item) => item.trim()).filter((item) => item !== '');
+	}
+	return string;
+}
+
+// Only settings which have defaults can be set (except new profiles)
+function merge (settings, layer, origin, prefix=[]) {
+	for (const key of Object.keys(layer)) {
+		const settingPath = prefix.concat(key);
+		const name = settingPath.join('.');
+		const value = layer[key];
+
+		if (value === undefined) {
+			continue;
+		}
+		if (settingPath[0] === 'profiles' && settingPath.length === 2) {
+			settings[key] = value;
+		} else if (!settings.hasOwnProperty(key)) {
+			throw new MyError(`Unknown setting "${name}" in ${origin}`);
+		} else if (isObject(settings[key])) {
+			if (!isObject(value)) {
+				throw new MyError(`Setting "${name}" in ${origin} has to be an object`);
+			}
+			merge(settings[key], value, origin, settingPath);
+		} else {
+			const type = getType(settingPath);
+			if (value !== null && (type === 'array' ? !Array.isArray(value) : typeof value !== type)) {
+				throw new MyError(`Setting "${name}" in ${origin} has to be a ${type}`);
+			}
+			settings[key] = value;
+		}
+	}
+}
+
+function validate (settings) {
+	networks.getNetwork(settings.network);
+
+	for (const name of ['database', 'bitcoinRPC', 'server']) {
+		const port = settings[name].port;
+		if (port !== null && !(Number.isInteger(port) && port > 0 && port < 65536)) {
+			throw new MyError(`Setting "${name}.port" has to be port number, not ${port}`);
+		}
+	}
+	for (const name of POSITIVE_INTEGERS.concat(NON_NEGATIVE_INTEGERS)) {
+		const value = getValue(settings, name.split('.'));
+		if (!Number.isInteger(value) || value < (POSITIVE_INTEGERS.includes(name) ? 1 : 0)) {
+			throw new MyError(`Setting "${name}" has to be ${POSITIVE_INTEGERS.includes(name) ? 'positive' : 'non-negative'} integer, not ${value}`);
+		}
+	}
+
+	for (const name of ['logging.format', 'logging.file.format']) {
+		const format = getValue(settings, name.split('.'));
+		if (!logger.FORMATS.includes(format)) {
+			throw new MyError(`Setting "${name}" has to be one of: ${logger.FORMATS.join(', ')}, not ${format}`);
+		}
+	}
+	if (settings.logging.file.interval !== null && !logger.INTERVALS.includes(settings.logging.file.interval)) {
+		throw new MyError(`Setting "logging.file.interval" has to be one of: ${logger.INTERVALS.join(', ')}, not ${settings.logging.file.interval}`);
+	}
+
+	const heuristics = settings.clustering.changeHeuristics;
+	if (!Array.isArray(heuristics) || heuristics.some((name) => !clustering.HEURISTICS.includes(name))) {
+		throw new MyError(`Setting "clustering.changeHeuristics" has to list some of: ${clustering.HEURISTICS.join(', ')}, not ${heuristics}`);
+	}
+
+	if ((settings.bitcoinRPC.username === null) !== (settings.bitcoinRPC.password === null)) {
+		throw new MyError('RPC username and password have to be set together (or neither of them to use cookie file)');
+	}
+	if (settings.database.caFile !== null && !settings.database.https) {
+		throw new MyError('Setting "database.caFile" needs "database.https"');
+	}
+	for (const file of [settings.database.caFile, settings.bitcoinRPC.cookieFile]) {
+		if (file !== null && !fs.existsSync(file)) {
+			throw new MyError(`File "${file}" doesn't exist`);
+		}
+	}
+
+	for (const name of Object.keys(settings.profiles)) {
+		const profile = settings.profiles[name];
+		if (!Array.isArray(profile) || profile.some((collection) => typeof collection !== 'string')) {
+			throw new MyError(`Profile "${name}" has to be a list of collections`);
+		}
+	}
+	if (!settings.profiles.hasOwnProperty(settings.profile)) {
+		throw new MyError(`Unknown profile "${settings.profile}", use one of: ${Object.keys(settings.profiles).join(', ')}`);
+	}
+}
+
+// Paths of settings with simple values, profiles are set in config file only
+function getPaths (object, prefix=[]) {
+	return Object.keys(object).filter((key) => key !== 'profiles').reduce((paths, key) =>
+		paths.concat(isObject(object[key]) ? getPaths(object[key], prefix.concat(key)) : [prefix.concat(key)]), []);
+}
+
+function getEnvironmentVariable (settingPath) {
+	return ENVIRONMENT_PREFIX + settingPath.map((key) => key.replace(/([a-z])([A-Z])/g, '$1_$2').toUpperCase()).join('_');
+}
+
+function getType (settingPath) {
+	const defaultValue = getValue(defaults, settingPath);
+
+	return TYPES[settingPath.join('.')] || (defaultValue === null ? 'string' : Array.isArray(defaultValue) ? 'array' : typeof defaultValue);
+}
+
+function getValue (object, settingPath) {
+	return settingPath.reduce((value, key) => value === undefined || value === null ? undefined : value[key], object);
+}
+
+function setValue (object, settingPath, value) {
+	const last = settingPath[settingPath.length - 1];
+	for (const key of settingPath.slice(0, -1)) {
+		object = object[key] = object[key] || {};
+	}
+	object[last] = value;
+}
+
+function isObject (value) {
+	return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function clone (object) {
+	return JSON.parse(JSON.stringify(object));
+}
+
+module.exports = {
+	ENVIRONMENT_PREFIX,
+	load
+};
@@ -0,0 +1,103 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const settings = require('./settings');
+
+let dir;
+
+test.before(() => {
+	dir = fs.mkdtempSync(path.join(os.tmpdir(), 'settings-'));
+});
+
+test.after(() => {
+	fs.rmSync(dir, {recursive: true, force: true});
+});
+
+function writeFile (name, content) {
+	const file = path.join(dir, name);
+	fs.writeFileSync(file, content);
+	return file;
+}
+
+test('defaults are overridden by config file, environment and command line in this order', () => {
+	const file = writeFile('config.json', JSON.stringify({database: {host: 'file', port: 1111, database: 'file'}, commitInterval: 50}));
+	const environment = {IMPORTER_DATABASE_PORT: '2222', IMPORTER_DATABASE_DATABASE: 'environment'};
+
+	const loaded = settings.load(file, {database: {database: 'command line'}}, environment);
+
+	assert.strictEqual(loaded.database.username, 'root');
+	assert.strictEqual(loaded.database.host, 'file');
+	assert.strictEqual(loaded.commitInterval, 50);
+	assert.strictEqual(loaded.database.port, 2222);
+	assert.strictEqual(loaded.database.database, 'command line');
+});
+
+test('YAML config file adds profiles', () => {
+	const file = writeFile('config.yml', 'network: regtest\nprofile: small\nprofiles:\n  small: [blocks, transactions]\n');
+
+	const loaded = settings.load(file, {}, {});
+
+	assert.strictEqual(loaded.network, 'regtest');
+	assert.deepStrictEqual(loaded.profiles.small, ['blocks', 'transactions']);
+});
+
+test('environment variables are converted to the type of their default', () => {
+	const loaded = settings.load(null, {}, {
+		IMPORTER_WRITES_MAX_PENDING_IMPORTS: '8',
+		IMPORTER_CLUSTERING_SKIP_COIN_JOINS: 'no',
+		IMPORTER_CLUSTERING_CHANGE_HEURISTICS: 'round-value, fresh-address,',
+		IMPORTER_BITCOIN_RPC_PORT: '18443',
+		IMPORTER_BITCOIN_RPC_USERNAME: 'user',
+		IMPORTER_BITCOIN_RPC_PASSWORD: 'password'
+	});
+
+	assert.strictEqual(loaded.writes.maxPendingImports, 8);
+	assert.strictEqual(loaded.clustering.skipCoinJoins, false);
+	assert.deepStrictEqual(loaded.clustering.changeHeuristics, ['round-value', 'fresh-address']);
+	assert.strictEqual(loaded.bitcoinRPC.port, 18443);
+	assert.strictEqual(loaded.bitcoinRPC.cookieFile, null);
+
+	assert.throws(() => settings.load(null, {}, {IMPORTER_COMMIT_INTERVAL: 'often'}),
+		/Invalid value "often" of environment variable IMPORTER_COMMIT_INTERVAL/);
+	assert.throws(() => settings.load(null, {}, {IMPORTER_FOLLOW_INTERVAL: ''}), /IMPORTER_FOLLOW_INTERVAL/);
+});
+
+test('RPC port and cookie file default to those of the network', () => {
+	const mainnet = settings.load(null, {}, {});
+	assert.strictEqual(mainnet.bitcoinRPC.port, 8332);
+	assert.strictEqual(mainnet.bitcoinRPC.cookieFile, path.join(os.homedir(), '.bitcoin', '.cookie'));
+
+	const testnet = settings.load(null, {network: 'testnet'}, {});
+	assert.strictEqual(testnet.bitcoinRPC.port, 18332);
+	assert.strictEqual(testnet.bitcoinRPC.cookieFile, path.join(os.homedir(), '.bitcoin', 'testnet3', '.cookie'));
+
+	const regtest = settings.load(null, {network: 'regtest'}, {});
+	assert.strictEqual(regtest.bitcoinRPC.cookieFile, path.join(os.homedir(), '.bitcoin', 'regtest', '.cookie'));
+});
+
+test('unknown and mistyped settings fail with their origin', () => {
+	assert.throws(() => settings.load(writeFile('unknown.json', '{"database": {"hots": "x"}}'), {}, {}),
+		/Unknown setting "database.hots" in config file/);
+	assert.throws(() => settings.load(null, {commitInterval: '100'}, {}), /Setting "commitInterval" in command line has to be a number/);
+	assert.throws(() => settings.load(null, {database: 'localhost'}, {}), /Setting "database" in command line has to be an object/);
+	assert.throws(() => settings.load(writeFile('list.json', '[]'), {}, {}), /doesn't contain object with settings/);
+	assert.throws(() => settings.load(writeFile('broken.json', '{'), {}, {}), /Parsing config file/);
+	assert.throws(() => settings.load(path.join(dir, 'missing.json'), {}, {}), /Reading config file/);
+});
+
+test('invalid values fail validation', () => {
+	assert.throws(() => settings.load(null, {network: 'litecoin'}, {}), /Unknown network "litecoin"/);
+	assert.throws(() => settings.load(null, {database: {port: 70000}}, {}), /"database.port" has to be port number/);
+	assert.throws(() => settings.load(null, {commitInterval: 0}, {}), /"commitInterval" has to be positive integer/);
+	assert.throws(() => settings.load(null, {writes: {importRetries: -1}}, {}), /"writes.importRetries" has to be non-negative integer/);
+	assert.throws(() => settings.load(null, {logging: {format: 'xml'}}, {}), /"logging.format" has to be one of/);
+	assert.throws(() => settings.load(null, {clustering: {changeHeuristics: ['biggest-output']}}, {}), /"clustering.changeHeuristics" has to list some of/);
+	assert.throws(() => settings.load(null, {bitcoinRPC: {username: 'user'}}, {}), /username and password have to be set together/);
+	assert.throws(() => settings.load(null, {bitcoinRPC: {cookieFile: path.join(dir, 'missing')}}, {}), /doesn't exist/);
+	assert.throws(() => settings.load(null, {profile: 'none'}, {}), /Unknown profile "none"/);
+});
@@ -0,0 +1,65 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const { MyError } = require('./errors');
+
+const logger = require('./logger');
+const bitcoin = require('./bitcoin');
+const blockfile = require('./blockfile');
+const fixture = require('./fixture');
+
+// Every block source implements getBestBlockHash(), getBlockHash(height) and getBlock(hash)
+// where the block has the same structure as RPC getblock with verbosity 2
+const SOURCES = ['rpc', 'blockfile', 'fixture'];
+
+let blockSource;
+let RECORD_DIR;
+
+function init(name, { datadir = null, fixtures = null, record = null } = {}, perf) {
+	if (name === 'rpc') {
+		// RPC client is initialized by bitcoin.init() because mempool and ZMQ need it too
+		blockSource = bitcoin;
+	} else if (name === 'blockfile') {
+		if (!datadir) {
+			throw new MyError('Block source "blockfile" needs node\'s data directory');
+		}
+		blockfile.init(datadir, perf);
+		blockSource = blockfile;
+	} else if (name === 'fixture') {
+		if (!fixtures) {
+			throw new MyError('Block source "fixture" needs fixtures directory');
+		}
+		fixture.init(fixtures);
+		blockSource = fixture;
+	} else {
+		throw new MyError(`Unknown block source "${name}", use one of: ${SOURCES.join(', ')}`);
+	}
+
+	RECORD_DIR = record;
+	if (RECORD_DIR) {
+		fs.mkdirSync(RECORD_DIR, {recursive: true});
+	}
+}
+
+async function getBlock(hash) {
+	const block = await blockSource.getBlock(hash);
+
+	if (RECORD_DIR) {
+		const file = path.join(RECORD_DIR, `${String(block.height).padStart(8, '0')}-${block.hash}.json`);
+		fs.writeFileSync(file, JSON.stringify(block, null, '\t'));
+		logger.debug1(`Recorded block #${block.height} to "${file}"`);
+	}
+
+	return block;
+}
+
+module.exports = {
+	SOURCES,
+	init,
+	isRPC: () => blockSource === bitcoin,
+	getBestBlockHash: () => blockSource.getBestBlockHash(),
+	getBlockHash: (height) => blockSource.getBlockHash(height),
+	getBlock
+};
@@ -0,0 +1,274 @@
+'use strict';
+
+const http = require('http');
+
+const moment = require('moment');
+
+const { MyError } = require('./errors');
+
+const source = require('./source');
+const db = require('./db');
+
+const FORMATS = ['table', 'json'];
+const PHASES = ['initializing', 'importing', 'following', 'verifying'];
+// Windows (in seconds) over which blocks per hour are averaged, ETA uses the hourly rate
+const RATE_WINDOWS = {
+	'10m': 600,
+	'1h': 3600,
+	'6h': 21600,
+	'24h': 86400
+};
+const ETA_WINDOW = '1h';
+// Timeout (in milliseconds) of request to running import
+const REQUEST_TIMEOUT = 2000;
+
+// Live state of the running command published by master on /status
+let phase = 'initializing';
+let phaseTime = Date.now();
+let lastError = null;
+// Numbers of processed blocks per minute (minute -> count) for the longest window
+const processedBlocks = new Map();
+let ratesTime = null;
+
+// Collects state of the database and how far it's behind the node, database isn't modified,
+// state of running import is read from its /status when server settings are given
+async function getStatus (server=null) {
+	const status = {
+		network: null,
+		schema: null,
+		checkpoint: null,
+		lastBlockHeight: null,
+		addressStatsHeight: null,
+		tip: null,
+		lag: null,
+		collections: await db.getCollectionCounts()
+	};
+
+	if (status.collections.meta !== null) {
+		const network = await db.getNetwork();
+		status.network = network ? network.name : null;
+		const schema = await db.getSchema();
+		status.schema = schema ? (schema.compact ? 'compact' : 'full') : null;
+		status.checkpoint = await db.getCheckpoint() || null;
+		status.addressStatsHeight = await db.getAddressStatsHeight();
+	}
+	if (status.collections.blocks) {
+		status.lastBlockHeight = await db.getLastBlockHeight();
+	}
+
+	// Database state is reported even if the node isn't reachable
+	try {
+		const tip = await source.getBlock(await source.getBestBlockHash());
+		status.tip = {height: tip.height, hash: tip.hash};
+	} catch (error) {
+		status.nodeError = error.message;
+	}
+
+	if (status.tip) {
+		const height = status.checkpoint ? status.checkpoint.height : status.lastBlockHeight || 0;
+		status.lag = status.tip.height - height;
+	}
+
+	status.import = null;
+	if (server && server.port) {
+		try {
+			status.import = await requestStatus(server);
+		} catch (error) {
+			status.importError = error.message;
+		}
+	} else {
+		status.importError = 'server.port isn\'t set';
+	}
+
+	return status;
+}
+
+function setPhase (newPhase) {
+	if (!PHASES.includes(newPhase)) {
+		throw new MyError(`Unknown phase "${newPhase}", use one of: ${PHASES.join(', ')}`);
+	}
+	phase = newPhase;
+	phaseTime = Date.now();
+}
+
+function getPhase () {
+	return {phase, since: new Date(phaseTime).toISOString()};
+}
+
+function setError (message) {
+	lastError = {message, time: new Date().toISOString()};
+}
+
+function getError () {
+	return lastError;
+}
+
+function recordBlocks (count=1) {
+	const now = Date.now();
+	const minute = Math.floor(now / 60000);
+
+	if (ratesTime === null) {
+		ratesTime = now;
+	}
+	processedBlocks.set(minute, (processedBlocks.get(minute) || 0) + count);
+	for (const key of processedBlocks.keys()) {
+		if (key <= minute - RATE_WINDOWS['24h'] / 60) {
+			processedBlocks.delete(key);
+		}
+	}
+}
+
+// Window longer than the time since the first processed block is shortened (to one minute at least)
+function getRates () {
+	const now = Date.now();
+	const minute = Math.floor(now / 60000);
+	const rates = {};
+
+	for (const window of Object.keys(RATE_WINDOWS)) {
+		const seconds = ratesTime === null ? 0 : Math.min(RATE_WINDOWS[window], Math.max((now - ratesTime) / 1000, 60));
+		let count = 0;
+		for (const [key, value] of processedBlocks) {
+			if (key > minute - RATE_WINDOWS[window] / 60) {
+				count += value;
+			}
+		}
+		rates[window] = seconds > 0 ? Math.round(count / seconds * 3600) : null;
+	}
+
+	return rates;
+}
+
+// Time when the remaining blocks are processed at the current rate, unknown without remaining blocks or positive rate
+function getEta (remainingBlocks, rates=getRates()) {
+	if (typeof remainingBlocks !== 'number' || Number.isNaN(remainingBlocks)) {
+		return null;
+	}
+	if (remainingBlocks <= 0) {
+		return {seconds: 0, time: new Date().toISOString()};
+	}
+	if (!(rates[ETA_WINDOW] > 0) || !Number.isFinite(rates[ETA_WINDOW])) {
+		return null;
+	}
+	const seconds = Math.round(remainingBlocks / rates[ETA_WINDOW] * 3600);
+
+	return {seconds, time: new Date(Date.now() + seconds * 1000).toISOString()};
+}
+
+// Settings without passwords
+function redact (settings) {
+	return JSON.parse(JSON.stringify(settings, (key, value) => /password/i.test(key) && value ? '***' : value));
+}
+
+function print (status, format='table') {
+	if (format === 'json') {
+		console.log(JSON.stringify(status, null, '\t'));
+	} else if (format === 'table') {
+		console.log(formatStatus(status));
+	} else {
+		throw new MyError(`Unknown output format "${format}", use one of: ${FORMATS.join(', ')}`);
+	}
+}
+
+// Utility functions
+
+function formatStatus (status) {
+	const lines = [
+		['Network', status.network || 'not initialized'],
+		['Schema', status.schema || 'not initialized'],
+		['Checkpoint', status.checkpoint ? formatBlock(status.checkpoint) : 'none'],
+		['Last block', status.lastBlockHeight !== null ? `#${status.lastBlockHeight}` : 'none'],
+		['Address balances', status.addressStatsHeight ? `#${status.addressStatsHeight}` : 'none'],
+		['Node tip', status.tip ? formatBlock(status.tip) : `unknown (${status.nodeError})`],
+		['Lag', status.lag !== null ? `${status.lag} blocks` : 'unknown']
+	];
+	const collections = Object.keys(status.collections).map((name) =>
+		[name, status.collections[name] !== null ? String(status.collections[name]) : 'missing']);
+
+	return formatColumns(lines)
+		.concat('', formatColumns([['Collection', 'Documents']].concat(collections)))
+		.concat('', formatImport(status.import, status.importError))
+		.join('\n');
+}
+
+function formatImport (state, error) {
+	if (!state) {
+		return [`Import not running (${error})`];
+	}
+	const rates = Object.keys(state.rates).map((window) => `${window}: ${state.rates[window] !== null ? state.rates[window] : '-'}`);
+	const lines = [
+		['Phase', `${state.phase} since ${formatTime(state.since)}`],
+		['Height', `${state.height !== null ? `#${state.height}` : 'unknown'} of ${state.targetHeight !== null ? `#${state.targetHeight}` : 'unknown'}`],
+		['Last block', state.lastBlockHeight !== null ? `#${state.lastBlockHeight}` : 'none'],
+		['Progress', `${state.blocks}/${state.numBlocks !== null ? state.numBlocks : '?'} blocks (${state.progress}%), ${state.transactions} transactions, ${state.inputsOutputs} inputs + outputs`],
+		['Blocks per hour', rates.join(', ')],
+		['ETA', state.eta ? `${formatTime(state.eta.time)} (${moment.duration(state.eta.seconds, 'seconds').humanize()})` : 'unknown'],
+		['Last error', state.lastError ? `${state.lastError.message} (${formatTime(state.lastError.time)})` : 'none']
+	];
+	const settings = getPaths(state.config).map(([name, value]) => [name, JSON.stringify(value)]);
+
+	return formatColumns([['Import', `pid ${state.pid}`]].concat(lines))
+		.concat('', formatColumns([['Setting', 'Value']].concat(settings)));
+}
+
+function formatTime (time) {
+	return moment(time).format('YYYY-MM-DD HH:mm:ss');
+}
+
+function formatBlock (block) {
+	return block.hash ? `#${block.height} (${block.hash})` : `#${block.height}`;
+}
+
+function getPaths (object, prefix='') {
+	return Object.keys(object).reduce((paths, key) => {
+		const value = object[key];
+		return paths.concat(value !== null && typeof value === 'object' && !Array.isArray(value) ?
+			getPaths(value, `${prefix}${key}.`) : [[`${prefix}${key}`, value]]);
+	}, []);
+}
+
+function requestStatus ({ host, port }) {
+	// Server listening on all interfaces is reached locally
+	const url = `http://${host === '0.0.0.0' ? '127.0.0.1' : host}:${port}/status`;
+
+	return new Promise((resolve, reject) => {
+		const request = http.get(url, {timeout: REQUEST_TIMEOUT}, (response) => {
+			let body = '';
+			response.setEncoding('utf8');
+			response.on('data', (chunk) => body += chunk);
+			response.on('end', () => {
+				if (response.statusCode !== 200) {
+					reject(new MyError(`${url} responded with status ${response.statusCode}`));
+					return;
+				}
+				try {
+					resolve(JSON.parse(body));
+				} catch (error) {
+					reject(new MyError(`${url} responded with invalid JSON`, {error}));
+				}
+			});
+		});
+		request.on('timeout', () => request.destroy(new MyError(`${url} didn't respond in ${REQUEST_TIMEOUT / 1000} seconds`)));
+		request.on('error', (error) => reject(error instanceof MyError ? error : new MyError(`${url}: ${error.message}`)));
+	});
+}
+
+function formatColumns (rows) {
+	const width = Math.max(...rows.map((row) => row[0].length));
+
+	return rows.map((row) => `${row[0].padEnd(width)}  ${row[1]}`);
+}
+
+module.exports = {
+	FORMATS,
+	PHASES,
+	getStatus,
+	setPhase,
+	getPhase,
+	setError,
+	getError,
+	recordBlocks,
+	getRates,
+	getEta,
+	redact,
+	print
+};
@@ -0,0 +1,106 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const status = require('./status');
+
+const MINUTE = 60000;
+const START = Date.UTC(2024, 0, 1);
+
+test('rates are unknown before the first processed block', () => {
+	assert.deepStrictEqual(status.getRates(), {'10m': null, '1h': null, '6h': null, '24h': null});
+	assert.strictEqual(status.getEta(100), null);
+});
+
+test('rates are averaged over windows shortened to the time since the first block', (t) => {
+	t.mock.timers.enable({apis: ['Date'], now: START});
+
+	// The first sample counts over one minute at least
+	status.recordBlocks(10);
+	assert.deepStrictEqual(status.getRates(), {'10m': 600, '1h': 600, '6h': 600, '24h': 600});
+
+	t.mock.timers.tick(30 * MINUTE);
+	status.recordBlocks(20);
+	assert.deepStrictEqual(status.getRates(), {'10m': 120, '1h': 60, '6h': 60, '24h': 60});
+
+	t.mock.timers.tick(2 * 60 * MINUTE);
+	status.recordBlocks(30);
+	assert.deepStrictEqual(status.getRates(), {'10m': 180, '1h': 30, '6h': 24, '24h': 24});
+
+	// Blocks older than the longest window are dropped
+	t.mock.timers.tick(25 * 60 * MINUTE);
+	assert.deepStrictEqual(status.getRates(), {'10m': 0, '1h': 0, '6h': 0, '24h': 0});
+});
+
+test('ETA is computed from the hourly rate', (t) => {
+	t.mock.timers.enable({apis: ['Date'], now: START});
+
+	assert.deepStrictEqual(status.getEta(50, {'1h': 100}), {seconds: 1800, time: new Date(START + 30 * MINUTE).toISOString()});
+	assert.deepStrictEqual(status.getEta(0, {'1h': null}), {seconds: 0, time: new Date(START).toISOString()});
+	// Database above the node's tip after reorganization to a shorter chain
+	assert.deepStrictEqual(status.getEta(-3, {'1h': 100}), {seconds: 0, time: new Date(START).toISOString()});
+});
+
+test('ETA is unknown without tip or positive rate', () => {
+	assert.strictEqual(status.getEta(null, {'1h': 100}), null);
+	assert.strictEqual(status.getEta(undefined, {'1h': 100}), null);
+	assert.strictEqual(status.getEta(NaN, {'1h': 100}), null);
+	assert.strictEqual(status.getEta(50, {'1h': null}), null);
+	assert.strictEqual(status.getEta(50, {'1h': 0}), null);
+	assert.strictEqual(status.getEta(50, {'1h': -10}), null);
+	assert.strictEqual(status.getEta(50, {}), null);
+});
+
+test('passwords are redacted from settings and never printed', (t) => {
+	const settings = {
+		database: {host: 'localhost', username: 'root', password: 'database-secret'},
+		bitcoinRPC: {username: 'user', password: 'rpc-secret', cookieFile: null},
+		profiles: {all: ['blocks']}
+	};
+	const redacted = status.redact(settings);
+
+	assert.strictEqual(redacted.database.password, '***');
+	assert.strictEqual(redacted.bitcoinRPC.password, '***');
+	assert.deepStrictEqual(redacted.profiles, settings.profiles);
+	assert.strictEqual(settings.database.password, 'database-secret');
+	// Empty password isn't a secret
+	assert.strictEqual(status.redact({password: ''}).password, '');
+
+	const log = t.mock.method(console, 'log', () => {});
+	const state = {
+		network: 'regtest',
+		schema: 'full',
+		checkpoint: {height: 10, hash: 'abc'},
+		lastBlockHeight: 12,
+		addressStatsHeight: 10,
+		tip: {height: 20, hash: 'def'},
+		lag: 10,
+		collections: {blocks: 12, meta: 2, clusters: null},
+		import: {
+			pid: 1,
+			phase: 'importing',
+			since: new Date(START).toISOString(),
+			height: 10,
+			targetHeight: 20,
+			lastBlockHeight: 12,
+			blocks: 12,
+			numBlocks: 20,
+			progress: 60,
+			transactions: 100,
+			inputsOutputs: 300,
+			rates: {'10m': 6, '1h': null},
+			eta: null,
+			lastError: null,
+			config: redacted
+		}
+	};
+	status.print(state);
+	status.print(state, 'json');
+
+	const output = log.mock.calls.map((call) => call.arguments[0]).join('\n');
+	assert.ok(output.includes('database.password'));
+	assert.ok(!output.includes('database-secret'));
+	assert.ok(!output.includes('rpc-secret'));
+	assert.throws(() => status.print(state, 'yaml'), /Unknown output format "yaml"/);
+});
@@ -0,0 +1,218 @@
+'use strict';
+
+const logger = require('./logger');
+const source = require('./source');
+const db = require('./db');
+const worker = require('./worker');
+
+const PROBLEMS = ['missing', 'extra', 'mismatched'];
+
+let report;
+
+function init() {
+	report = {
+		numBlocks: 0,
+		numInvalidBlocks: 0,
+		numRepairedBlocks: 0,
+		missing: {},
+		extra: {},
+		mismatched: {}
+	};
+}
+
+// Compares stored block, its transactions, outputs and edges with the block from the node
+async function verifyBlock (height, repair=false) {
+	const hash = await source.getBlockHash(height);
+	const block = await source.getBlock(hash);
+	const problems = [];
+
+	logger.info1(`Verifying block #${height} containing ${block.tx.length} transactions`);
+
+	const transactionIds = block.tx.map((tx) => tx.txid);
+
+	// Collections not selected for import aren't verified
+	const storedHash = await db.getBlockHash(height);
+	if (storedHash && storedHash !== hash) {
+		problems.push(['extra', 'block', storedHash]);
+	}
+
+	// Coinbase carries block reward (subsidy and fees) computed from the node's block, it's unknown without input values
+	const reward = await getReward(block);
+	if (reward === null) {
+		logger.info1(`Values of some inputs in block #${height} can't be found, its reward isn't verified`);
+	}
+
+	const storedBlock = await db.getBlock(hash);
+	if (!storedBlock && db.isEnabled('blocks')) {
+		problems.push(['missing', 'block', hash]);
+	} else if (storedBlock) {
+		if (storedBlock.height !== height) {
+			problems.push(['mismatched', 'block', hash, `height ${storedBlock.height} instead of ${height}`]);
+		}
+		// Compact schema doesn't keep order of transactions and finds them by their block
+		const expectedTransactionIds = db.isCompact() ? transactionIds.slice().sort() : transactionIds;
+		const storedTransactionIds = await db.getBlockTransactionIds(hash);
+		if (storedTransactionIds && JSON.stringify(storedTransactionIds) !== JSON.stringify(expectedTransactionIds)) {
+			problems.push(['mismatched', 'block', hash, 'transaction list differs']);
+		}
+		if (reward !== null && storedBlock.reward !== undefined && db.getSatoshis(storedBlock.reward) !== reward) {
+			problems.push(['mismatched', 'block', hash, `reward ${db.getSatoshis(storedBlock.reward)} instead of ${reward} satoshis`]);
+		}
+	}
+
+	const storedTransactions = new Set((await db.getTransactions(transactionIds)).map((transaction) => transaction._key));
+	for (const transactionId of transactionIds) {
+		if (db.isEnabled('transactions') && !storedTransactions.has(transactionId)) {
+			problems.push(['missing', 'transaction', transactionId]);
+		}
+	}
+
+	const outputs = new Map();
+	const transactionsToOutputs = [];
+	const outputsToTransactions = [];
+	for (const transaction of block.tx) {
+		for (const input of transaction.vin) {
+			let outputId;
+			if (input.hasOwnProperty('coinbase')) {
+				outputId = `${transaction.txid}:coinbase`;
+				outputs.set(outputId, reward);
+			} else {
+				outputId = `${input.txid}:${input.vout}`;
+			}
+			outputsToTransactions.push(`outputs/${outputId}->transactions/${transaction.txid}`);
+		}
+		for (const output of transaction.vout) {
+			outputs.set(`${transaction.txid}:${output.n}`, Math.round(output.value * 1e8));
+			transactionsToOutputs.push(`transactions/${transaction.txid}->outputs/${transaction.txid}:${output.n}`);
+		}
+	}
+
+	const storedOutputs = new Map((await db.getOutputs(Array.from(outputs.keys()))).map((output) => [output._key, output]));
+	for (const [outputId, value] of db.isEnabled('outputs') ? outputs : []) {
+		const storedOutput = storedOutputs.get(outputId);
+		if (!storedOutput) {
+			problems.push(['missing', 'output', outputId]);
+		} else if (value !== null && db.getSatoshis(storedOutput.value) !== value) {
+			problems.push(['mismatched', 'output', outputId, `value ${db.getSatoshis(storedOutput.value)} instead of ${value} satoshis`]);
+		}
+	}
+
+	const edges = await db.getTransactionsEdges(transactionIds);
+	if (db.isEnabled('transactions_to_outputs')) {
+		compareEdges(problems, 'transaction_to_output', transactionsToOutputs, edges.transactionsToOutputs);
+	}
+	if (db.isEnabled('outputs_to_transactions')) {
+		compareEdges(problems, 'output_to_transaction', outputsToTransactions, edges.outputsToTransactions);
+	}
+
+	report.numBlocks++;
+
+	if (problems.length > 0) {
+		report.numInvalidBlocks++;
+
+		for (const [problem, entity, id, detail] of problems) {
+			report[problem][entity] = (report[problem][entity] || 0) + 1;
+			logger.info(`Block #${height}: ${problem} ${entity} "${id}"${detail ? ` (${detail})` : ''}`);
+		}
+
+		if (repair) {
+			logger.info(`Repairing block #${height}`);
+			const statsReverted = await db.removeBlock(height, transactionIds);
+			await worker.processBlock(hash);
+			await db.commit();
+			if (statsReverted) {
+				await db.applyBlockAddressStats(height);
+			}
+			report.numRepairedBlocks++;
+		}
+	}
+
+	return problems;
+}
+
+function printReport () {
+	logger.info(`Verified ${report.numBlocks} blocks, ${report.numInvalidBlocks} of them with problems` +
+		(report.numRepairedBlocks > 0 ? `, ${report.numRepairedBlocks} repaired` : ''));
+
+	for (const problem of PROBLEMS) {
+		for (const entity of Object.keys(report[problem])) {
+			logger.info(`${report[problem][entity]} ${problem} ${entity} records`);
+		}
+	}
+
+	return report;
+}
+
+// Utility functions
+
+// Returns subsidy and fees (in satoshis) of the node's block, input values are taken from `prevout`
+// (Bitcoin Core 23+) or from the node, null if some of them can't be found
+async function getReward (block) {
+	const inputValues = new Map();
+	const missingOutputIds = [];
+	for (const transaction of block.tx) {
+		for (const input of transaction.vin) {
+			if (input.hasOwnProperty('coinbase')) {
+				continue;
+			}
+			if (input.prevout) {
+				inputValues.set(`${input.txid}:${input.vout}`, Math.round(input.prevout.value * 1e8));
+			} else {
+				missingOutputIds.push(`${input.txid}:${input.vout}`);
+			}
+		}
+	}
+	if (missingOutputIds.length > 0) {
+		for (const [outputId, value] of await worker.getNodeOutputValues(missingOutputIds)) {
+			inputValues.set(outputId, value);
+		}
+	}
+
+	let fees = 0;
+	for (const transaction of block.tx) {
+		if (transaction.vin.some((input) => input.hasOwnProperty('coinbase'))) {
+			continue;
+		}
+		for (const input of transaction.vin) {
+			const value = inputValues.get(`${input.txid}:${input.vout}`);
+			if (value === undefined) {
+				return null;
+			}
+			fees += value;
+		}
+		for (const output of transaction.vout) {
+			fees -= Math.round(output.value * 1e8);
+		}
+	}
+
+	return worker.getBlockSubsidy(block.height) + fees;
+}
+
+// Duplicate edges are reported as extra
+function compareEdges (problems, entity, expected, stored) {
+	const remaining = new Map();
+	for (const edge of expected) {
+		remaining.set(edge, (remaining.get(edge) || 0) + 1);
+	}
+
+	for (const edge of stored) {
+		const id = `${edge._from}->${edge._to}`;
+		if (remaining.get(id) > 0) {
+			remaining.set(id, remaining.get(id) - 1);
+		} else {
+			problems.push(['extra', entity, id]);
+		}
+	}
+
+	for (const [id, count] of remaining) {
+		for (let i = 0; i < count; i++) {
+			problems.push(['missing', entity, id]);
+		}
+	}
+}
+
+module.exports = {
+	init,
+	verifyBlock,
+	printReport
+};
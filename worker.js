@@ -1,33 +1,73 @@
 'use strict';
 
-const { MyError, arangoErrors } = require('./errors');
+const { MyError, arangoErrors, bitcoinErrors } = require('./errors');
 
 const logger = require('./logger');
 const bitcoin = require('./bitcoin');
+const source = require('./source');
 const db = require('./db');
+const script = require('./script');
 
 let VERBOSE;
 let DEBUG;
 let ASYNC;
-
-function init(verbose, debug, async) {
+let MEMPOOL;
+let UTXO_CACHE_SIZE;
+let ANALYZE_SCRIPTS;
+let HALVING_INTERVAL;
+
+// Transactions of spent outputs requested from the node at once
+const RPC_BATCH_SIZE = 1000;
+
+// Values (in satoshis) of recently created outputs for resolving input values without database lookups
+const utxoCache = new Map();
+// Missing spent outputs without outputs collection are reported only once
+let missingPrevoutReported = false;
+// Ids of unconfirmed transactions in the database, they're read once, so blocks without any of them don't touch the database
+let unconfirmedTransactionIds = null;
+
+// Context of transactions from mempool in place of block
+const UNCONFIRMED = {
+	unconfirmed: true
+};
+
+function init(verbose, debug, async, mempool, utxoCacheSize, network) {
 	VERBOSE = verbose;
 	DEBUG = debug;
 	ASYNC = async;
+	MEMPOOL = mempool;
+	UTXO_CACHE_SIZE = utxoCacheSize;
+	HALVING_INTERVAL = network.halvingInterval;
+	// Script types and addresses are derived only when outputs or addresses are imported
+	ANALYZE_SCRIPTS = db.isEnabled('addresses') || db.isEnabled('addresses_to_outputs') || db.isEnabled('outputs');
 }
 
 // Bussiness logic
 
 async function processBlock (blockHash) {
-	let block = await bitcoin.getBlock(blockHash);
+	let block = await source.getBlock(blockHash);
+
+	logger.info1(`Processing block #${block.height} containing ${block.tx.length} transactions`, {height: block.height, hash: block.hash});
 
-	logger.info1(`Processing block #${block.height} containing ${block.tx.length} transactions`);
+	// Replace unconfirmed transactions which got mined by the confirmed ones
+	let firstSeen = {};
+	if (MEMPOOL) {
+		const minedTransactionIds = await getMinedTransactionIds(block);
+		if (minedTransactionIds.length > 0) {
+			firstSeen = await db.removeUnconfirmedTransactions(minedTransactionIds);
+		}
+	}
 
-	let stats = await map(processTransaction, block.tx, block);
+	const context = await getContext(block.tx, block, firstSeen);
 
-	await db.saveBlock(block.hash, block.height, block.time, block.tx.map((tx) => tx.txid));
+	let stats = await map(processTransaction, block.tx, block, context);
 
-	logger.info4(`Done processing block #${block.height}`);
+	await db.saveBlock(block.hash, block.height, block.time, block.tx.map((tx) => tx.txid), {
+		fees: toValue(context.fees),
+		reward: toValue(context.reward)
+	});
+
+	logger.info4(`Done processing block #${block.height}`, {height: block.height, hash: block.hash});
 
 	stats = stats.reduce((accumulator, value) => {
 		accumulator.numInputs += value.numInputs;
@@ -37,6 +77,8 @@ async function processBlock (blockHash) {
 	}, {numInputs: 0, numOutputs: 0, numAddresses: 0});
 
 	return {
+		hash: block.hash,
+		height: block.height,
 		nextBlockHash: block.nextblockhash,
 		numTransactions: block.tx.length,
 		numInputs: stats.numInputs,
@@ -45,24 +87,249 @@ async function processBlock (blockHash) {
 	}
 }
 
-async function processTransaction (transaction, block, index) {
-	logger.info2(`Processing transaction: ${transaction.txid} containing ${transaction.vin.length} inputs and ${transaction.vout.length} outputs`);
+async function checkChain (height) {
+	await db.commit();
 
-	await map(processInput, transaction.vin, transaction, block);
-	// const inputsValue = inputsValues.reduce((total, value) => total + Math.round(1e8 * value));
-	const numAddresses = await map(processOutput, transaction.vout, transaction, block);
-	// const outputsValue = outputsValues.reduce((total, value) => total + Math.round(1e8 * value));
+	let forkHeight = height;
+	while (forkHeight > 0) {
+		const storedHash = await db.getBlockHash(forkHeight);
+		if (!storedHash || storedHash === await getNodeBlockHash(forkHeight)) {
+			break;
+		}
+		logger.info1(`Block #${forkHeight} "${storedHash}" is not in the main chain anymore`);
+		forkHeight--;
+	}
+
+	if (forkHeight < height) {
+		logger.warning(`Chain reorganization detected, removing blocks above #${forkHeight}`);
+		const removed = await db.removeBlocks(forkHeight + 1);
+		logger.info(`Removed ${removed.numBlocks} blocks containing ${removed.numTransactions} transactions`);
+	}
+
+	return forkHeight;
+}
+
+async function processMempool () {
+	const mempool = await bitcoin.getRawMempool();
+	const storedTransactionIds = await db.getUnconfirmedTransactions();
+	const storedTransactions = new Set(storedTransactionIds);
 
-	// logger.debug1(`inputsValue: ${inputsValues}`);
-	// logger.debug1(`outputsValue: ${outputsValues}`);
+	// Mined transactions were replaced already, so these are the evicted ones
+	const removedTransactionIds = storedTransactionIds.filter((transactionId) => !mempool.hasOwnProperty(transactionId));
+	if (removedTransactionIds.length > 0) {
+		await db.removeUnconfirmedTransactions(removedTransactionIds);
+	}
+
+	const transactions = [];
+	const firstSeen = {};
+	const newTransactionIds = Object.keys(mempool).filter((transactionId) => !storedTransactions.has(transactionId));
+	for (let i = 0; i < newTransactionIds.length; i += RPC_BATCH_SIZE) {
+		for (const transaction of await bitcoin.getRawTransactions(newTransactionIds.slice(i, i + RPC_BATCH_SIZE))) {
+			if (transaction instanceof Error) {
+				// Transaction left mempool in the meantime
+				if (transaction.code !== bitcoinErrors.RPC_INVALID_ADDRESS_OR_KEY.code) {
+					throw transaction;
+				}
+				continue;
+			}
+			transactions.push(transaction);
+			firstSeen[transaction.txid] = mempool[transaction.txid].time;
+		}
+	}
 
-	// if (outputsValue > inputsValue) {
-	// 	logger.warning(`Transaction "${transaction.txid} is spending more (${outputsValue}) than is the sum of it's inputs (${inputsValue})`);
-	// }
+	logger.info1(`Processing ${transactions.length} new and removing ${removedTransactionIds.length} unconfirmed transactions`);
 
-	db.saveTransaction(transaction.txid, block.hash);
+	const context = await getContext(transactions, UNCONFIRMED, firstSeen);
 
-	logger.info4(`Done processing transaction: ${transaction.txid}`);
+	const stats = await map(processTransaction, transactions, UNCONFIRMED, context);
+
+	await db.commit();
+
+	unconfirmedTransactionIds = new Set(storedTransactionIds.filter((transactionId) => mempool.hasOwnProperty(transactionId))
+		.concat(transactions.map((transaction) => transaction.txid)));
+
+	return {
+		numTransactions: transactions.length,
+		numRemovedTransactions: removedTransactionIds.length,
+		numInputs: stats.reduce((accumulator, value) => accumulator + value.numInputs, 0),
+		numOutputs: stats.reduce((accumulator, value) => accumulator + value.numOutputs, 0)
+	};
+}
+
+// Resolves values of all inputs and computes fees before transactions are processed, because coinbase needs them
+async function getContext (transactions, block, firstSeen) {
+	const inputValues = new Map();
+	const missingOutputIds = [];
+	// Outputs of unconfirmed transactions stay out of the cache of blocks' outputs, they may never get mined
+	const unconfirmedOutputs = new Map();
+
+	// Outputs can be spent by following transactions in the same block
+	for (const transaction of transactions) {
+		for (const output of transaction.vout) {
+			if (block.unconfirmed) {
+				unconfirmedOutputs.set(`${transaction.txid}:${output.n}`, toSatoshis(output.value));
+			} else {
+				cacheOutput(`${transaction.txid}:${output.n}`, toSatoshis(output.value));
+			}
+		}
+	}
+
+	for (const transaction of transactions) {
+		for (const input of transaction.vin) {
+			if (input.hasOwnProperty('coinbase')) {
+				continue;
+			}
+			const outputId = `${input.txid}:${input.vout}`;
+			if (input.prevout) {
+				// Bitcoin Core 23+ returns spent outputs in getblock with verbosity 3
+				inputValues.set(outputId, toSatoshis(input.prevout.value));
+			} else if (unconfirmedOutputs.has(outputId)) {
+				inputValues.set(outputId, unconfirmedOutputs.get(outputId));
+			} else if (utxoCache.has(outputId)) {
+				inputValues.set(outputId, utxoCache.get(outputId));
+			} else {
+				missingOutputIds.push(outputId);
+			}
+			// Unconfirmed transaction may never get mined
+			if (!block.unconfirmed) {
+				utxoCache.delete(outputId);
+			}
+		}
+	}
+
+	if (missingOutputIds.length > 0) {
+		await resolveInputValues(missingOutputIds, inputValues);
+	}
+
+	const values = new Map();
+	let fees = 0;
+	let complete = true;
+	let coinbase;
+
+	for (const transaction of transactions) {
+		const outputsValue = transaction.vout.reduce((total, output) => total + toSatoshis(output.value), 0);
+		if (transaction.vin.some((input) => input.hasOwnProperty('coinbase'))) {
+			coinbase = {transaction, outputsValue};
+			continue;
+		}
+
+		const inputValuesList = transaction.vin.map((input) => inputValues.get(`${input.txid}:${input.vout}`));
+		if (inputValuesList.some((value) => value === undefined)) {
+			complete = false;
+			values.set(transaction.txid, {outputsValue});
+			continue;
+		}
+
+		const inputsValue = inputValuesList.reduce((total, value) => total + value, 0);
+		if (outputsValue > inputsValue) {
+			logger.warning(`Transaction "${transaction.txid}" is spending more (${toValue(outputsValue)}) than is the sum of its inputs (${toValue(inputsValue)})`, {height: block.height, txid: transaction.txid});
+		}
+		values.set(transaction.txid, {inputsValue, outputsValue, fee: inputsValue - outputsValue});
+		fees += inputsValue - outputsValue;
+	}
+
+	const context = {
+		firstSeen,
+		values
+	};
+
+	if (!block.unconfirmed) {
+		const subsidy = getBlockSubsidy(block.height);
+		if (complete) {
+			context.fees = fees;
+			context.reward = subsidy + fees;
+		} else {
+			logger.warning(`Values of some inputs in block #${block.height} are unknown, its reward contains only subsidy`, {height: block.height, hash: block.hash});
+			context.reward = subsidy;
+		}
+		if (coinbase) {
+			if (coinbase.outputsValue > context.reward && complete) {
+				logger.warning(`Coinbase transaction "${coinbase.transaction.txid}" is spending more (${toValue(coinbase.outputsValue)}) than is the block reward (${toValue(context.reward)})`, {height: block.height, txid: coinbase.transaction.txid});
+			}
+			values.set(coinbase.transaction.txid, {inputsValue: context.reward, outputsValue: coinbase.outputsValue, fee: 0});
+		}
+	}
+
+	return context;
+}
+
+async function resolveInputValues (outputIds, inputValues) {
+	// Outputs may be still buffered, they're found without writing the buffers out
+	for (const [outputId, value] of await db.getOutputValues(outputIds)) {
+		inputValues.set(outputId, value);
+	}
+
+	const missingOutputIds = outputIds.filter((outputId) => !inputValues.has(outputId));
+	if (missingOutputIds.length === 0) {
+		return;
+	}
+
+	// Without outputs collection every input would need a request, so values come only from the node's prevout
+	if (!db.isEnabled('outputs')) {
+		if (!missingPrevoutReported) {
+			logger.warning('Node doesn\'t return spent outputs (Bitcoin Core 23+ does) and collection "outputs" isn\'t imported, so input values and fees are unknown');
+			missingPrevoutReported = true;
+		}
+		return;
+	}
+
+	for (const [outputId, value] of await getNodeOutputValues(missingOutputIds)) {
+		inputValues.set(outputId, value);
+	}
+
+	for (const outputId of missingOutputIds.filter((outputId) => !inputValues.has(outputId))) {
+		logger.warning(`Can't find value of output "${outputId}"`);
+	}
+}
+
+// Returns map of output ids to values (in satoshis) found in their transactions from the node in batch requests,
+// node needs -txindex to find transactions outside of mempool
+async function getNodeOutputValues (outputIds) {
+	const values = new Map();
+	if (!source.isRPC()) {
+		return values;
+	}
+
+	const wanted = new Set(outputIds);
+	const transactionIds = Array.from(new Set(outputIds.map((outputId) => outputId.split(':')[0])));
+	for (let i = 0; i < transactionIds.length; i += RPC_BATCH_SIZE) {
+		const transactions = await bitcoin.getRawTransactions(transactionIds.slice(i, i + RPC_BATCH_SIZE));
+		for (const transaction of transactions) {
+			if (transaction instanceof Error) {
+				if (transaction.code !== bitcoinErrors.RPC_INVALID_ADDRESS_OR_KEY.code) {
+					throw transaction;
+				}
+				continue;
+			}
+			for (const output of transaction.vout) {
+				const outputId = `${transaction.txid}:${output.n}`;
+				if (wanted.has(outputId)) {
+					values.set(outputId, toSatoshis(output.value));
+				}
+			}
+		}
+	}
+
+	return values;
+}
+
+async function processTransaction (transaction, block, context, index) {
+	logger.info2(`Processing transaction: ${transaction.txid} containing ${transaction.vin.length} inputs and ${transaction.vout.length} outputs`, {height: block.height, txid: transaction.txid});
+
+	await map(processInput, transaction.vin, transaction, block, context);
+	const numAddresses = await map(processOutput, transaction.vout, transaction, block);
+
+	const values = context.values.get(transaction.txid) || {};
+
+	await db.saveTransaction(transaction.txid, block.hash, Object.assign({
+		height: block.height,
+		firstSeen: context.firstSeen[transaction.txid],
+		inputsValue: toValue(values.inputsValue),
+		outputsValue: toValue(values.outputsValue),
+		fee: toValue(values.fee)
+	}, getProperties(block)));
+
+	logger.info4(`Done processing transaction: ${transaction.txid}`, {height: block.height, txid: transaction.txid});
 
 	return {
 		numInputs: transaction.vin.length,
@@ -71,74 +338,136 @@ async function processTransaction (transaction, block, index) {
 	}
 }
 
-async function processInput (input, transaction, block, index) {
-	logger.info3(`Processing input in transaction ${transaction.txid}`);
+async function processInput (input, transaction, block, context, index) {
+	logger.info3(`Processing input in transaction ${transaction.txid}`, {height: block.height, txid: transaction.txid});
 
 	let outputId;
-	let value;
 	if (input.hasOwnProperty('coinbase')) {
 		if (index > 0) {
-			logger.warning(`Coinbase transaction in block "${block.hash}" is not the first transaction`);
+			logger.warning(`Coinbase transaction in block "${block.hash}" is not the first transaction`, {height: block.height, hash: block.hash, txid: transaction.txid});
 		}
 		outputId = `${transaction.txid}:coinbase`;
-		value = getBlockSubsidy(block.height);
-		await db.saveOutput(outputId, value);
+		// Coinbase isn't a real output, so it has no height and isn't part of the UTXO set
+		await db.saveOutput(outputId, toValue(context.reward), undefined, getProperties(block));
 	} else {
 		outputId = `${input.txid}:${input.vout}`;
-		// try {
-		// 	const output = await getDocument(OUTPUTS, outputId);
-		// 	value = output.value
-		// } catch (error) {
-		// 	if (error.code !== arangoErrors.ERROR_ARANGO_DOCUMENT_NOT_FOUND.code &&
-		// 			error.code !== arangoErrors.ERROR_HTTP_NOT_FOUND.code) {
-		// 		throw error;
-		// 	}
-		// 	logger.warning(`Can't find output "${outputId}" referenced in input #${index} of transaction "${transaction.txid}"`);
-		// 	value = 0;
-		// }
+		// Unconfirmed spends don't change the UTXO set
+		if (!block.unconfirmed) {
+			await db.saveSpend(outputId, transaction.txid, index, block.height);
+		}
 	}
 
 	if (outputId) {
-		db.saveOutputToTransaction(outputId, transaction.txid);
+		await db.saveOutputToTransaction(outputId, transaction.txid, getProperties(block));
 	}
 
-	logger.info4(`Done processing input in transaction ${transaction.txid}`);
-
-	return value;
+	logger.info4(`Done processing input in transaction ${transaction.txid}`, {height: block.height, txid: transaction.txid});
 }
 
 async function processOutput (output, transaction, block, index) {
-	logger.info3(`Processing output #${output.n} in transaction ${transaction.txid}`);
+	logger.info3(`Processing output #${output.n} in transaction ${transaction.txid}`, {height: block.height, txid: transaction.txid});
 
 	if (!output.hasOwnProperty('scriptPubKey')) {
 		throw new MyError(`No scriptPubKey in output #${output.n} in transaction "${transaction.txid}"`, {object: output});
 	}
 
-	await db.saveOutput(`${transaction.txid}:${output.n}`, output.value);
-	await db.saveTransactionToOutput(transaction.txid, `${transaction.txid}:${output.n}`);
+	if (!ANALYZE_SCRIPTS) {
+		await db.saveTransactionToOutput(transaction.txid, `${transaction.txid}:${output.n}`, getProperties(block));
+		return 0;
+	}
+
+	const analysis = analyzeScriptPubKey(output.scriptPubKey);
 
-	let numAddresses = 0;
+	await db.saveOutput(`${transaction.txid}:${output.n}`, output.value, block.height, Object.assign({
+		scriptType: analysis.type,
+		scriptHash: analysis.hash
+	}, getProperties(block)));
+	await db.saveTransactionToOutput(transaction.txid, `${transaction.txid}:${output.n}`, getProperties(block));
 
-	if (output.scriptPubKey.hasOwnProperty('addresses') && output.scriptPubKey.addresses.length >= 1) {
-		await map(db.saveAddress, output.scriptPubKey.addresses, transaction.txid, output.n);
-		numAddresses = output.scriptPubKey.addresses.length;
-	} else if (output.scriptPubKey.type !== 'nonstandard') {
-		logger.warning(`No addresses in output #${output.n} in transaction "${transaction.txid}"`, {object: output});
+	for (const address of analysis.addresses) {
+		await db.saveAddress(address.address, transaction.txid, output.n, getProperties(block), {type: address.type, hash: address.hash});
 	}
 
-	logger.info4(`Done processing output #${output.n} in transaction ${transaction.txid}`);
+	if (analysis.addresses.length === 0 && !['nonstandard', 'nulldata'].includes(analysis.type)) {
+		logger.warning(`No addresses in output #${output.n} in transaction "${transaction.txid}"`, {object: output, height: block.height, txid: transaction.txid});
+	}
+
+	logger.info4(`Done processing output #${output.n} in transaction ${transaction.txid}`, {height: block.height, txid: transaction.txid});
 
-	return numAddresses;
+	return analysis.addresses.length;
 }
 
 // Utility functions
 
-function getBlockSubsidy(height, subsidy=50) {
-	if (height >= 210000) {
-		return getBlockSubsidy(height - 210000, subsidy/2);
-	} else {
-		return subsidy;
+// Addresses are derived from the script, so they don't depend on node's version (Bitcoin Core 22+ gives
+// single `address`, older versions `addresses`, neither for P2PK). Without script hex node's addresses are used
+function analyzeScriptPubKey(scriptPubKey) {
+	if (scriptPubKey.hex !== undefined) {
+		return script.analyzeScriptPubKey(Buffer.from(scriptPubKey.hex, 'hex'));
+	}
+
+	const addresses = scriptPubKey.addresses || (scriptPubKey.address ? [scriptPubKey.address] : []);
+	return {
+		type: scriptPubKey.type,
+		hash: null,
+		addresses: addresses.map((address) => ({address}))
+	};
+}
+
+async function getMinedTransactionIds(block) {
+	if (!unconfirmedTransactionIds) {
+		unconfirmedTransactionIds = new Set(await db.getUnconfirmedTransactions());
+	}
+
+	const minedTransactionIds = block.tx.map((tx) => tx.txid).filter((transactionId) => unconfirmedTransactionIds.has(transactionId));
+	for (const transactionId of minedTransactionIds) {
+		unconfirmedTransactionIds.delete(transactionId);
+	}
+
+	return minedTransactionIds;
+}
+
+function cacheOutput(outputId, value) {
+	utxoCache.set(outputId, value);
+	// Map keeps insertion order, so the oldest outputs are evicted first
+	if (utxoCache.size > UTXO_CACHE_SIZE) {
+		utxoCache.delete(utxoCache.keys().next().value);
+	}
+}
+
+function toSatoshis(value) {
+	return Math.round(value * 1e8);
+}
+
+function toValue(satoshis) {
+	return satoshis === undefined ? undefined : satoshis / 1e8;
+}
+
+function getProperties(block) {
+	if (block.unconfirmed) {
+		return {unconfirmed: true};
+	}
+}
+
+async function getNodeBlockHash (height) {
+	try {
+		return await source.getBlockHash(height);
+	} catch (error) {
+		// Node's chain can be shorter than ours after reorganization
+		if (error.code === bitcoinErrors.RPC_INVALID_PARAMETER.code) {
+			return null;
+		}
+		throw error;
+	}
+}
+
+// In satoshis, halving drops fractions of satoshi like the node's right shift does
+function getBlockSubsidy(height) {
+	const halvings = Math.floor(height / HALVING_INTERVAL);
+	if (halvings >= 64) {
+		return 0;
 	}
+	return Math.floor(5000000000 / Math.pow(2, halvings));
 }
 
 async function map (func, list, ...args) {
@@ -156,5 +485,10 @@ async function map (func, list, ...args) {
 
 module.exports = {
 	init,
-	processBlock
+	checkChain,
+	processBlock,
+	processMempool,
+	getNodeBlockHash,
+	getNodeOutputValues,
+	getBlockSubsidy
 };
\ No newline at end of file
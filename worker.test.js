@@ -0,0 +1,133 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const path = require('path');
+
+const { bitcoinErrors } = require('./errors');
+
+const logger = require('./logger');
+const networks = require('./networks');
+const bitcoin = require('./bitcoin');
+const source = require('./source');
+const db = require('./db');
+const worker = require('./worker');
+
+logger.init(0, 0);
+
+function init (network) {
+	worker.init(0, 0, false, false, 10, networks.getNetwork(network));
+}
+
+test('block subsidy halves in whole satoshis like the node computes it', () => {
+	init('mainnet');
+	assert.strictEqual(worker.getBlockSubsidy(0), 5000000000);
+	assert.strictEqual(worker.getBlockSubsidy(209999), 5000000000);
+	assert.strictEqual(worker.getBlockSubsidy(210000), 2500000000);
+	assert.strictEqual(worker.getBlockSubsidy(840000), 312500000);
+	// 10th halving drops half a satoshi
+	assert.strictEqual(worker.getBlockSubsidy(2099999), 9765625);
+	assert.strictEqual(worker.getBlockSubsidy(2100000), 4882812);
+	assert.strictEqual(worker.getBlockSubsidy(2310000), 2441406);
+	assert.strictEqual(worker.getBlockSubsidy(6720000), 1);
+	assert.strictEqual(worker.getBlockSubsidy(6930000), 0);
+});
+
+test('block subsidy uses network\'s halving interval and ends after 64 halvings', () => {
+	init('regtest');
+	assert.strictEqual(worker.getBlockSubsidy(149), 5000000000);
+	assert.strictEqual(worker.getBlockSubsidy(150), 2500000000);
+	assert.strictEqual(worker.getBlockSubsidy(1500), 4882812);
+	assert.strictEqual(worker.getBlockSubsidy(64 * 150 - 1), 0);
+	assert.strictEqual(worker.getBlockSubsidy(64 * 150), 0);
+	assert.strictEqual(worker.getBlockSubsidy(1000 * 150), 0);
+});
+
+const transaction = (txid, inputs, values) => ({
+	txid,
+	vin: inputs.map((outputId) => ({txid: outputId.split(':')[0], vout: Number(outputId.split(':')[1])})),
+	vout: values.map((value, n) => ({value, n, scriptPubKey: {hex: '', type: 'nonstandard'}}))
+});
+
+test('mempool transactions are requested in one batch and their outputs stay out of block cache', async (t) => {
+	init('regtest');
+	const saved = [];
+	for (const method of ['saveTransaction', 'saveOutput', 'saveSpend', 'saveOutputToTransaction', 'saveTransactionToOutput', 'saveAddress']) {
+		t.mock.method(db, method, async () => {});
+	}
+	t.mock.method(db, 'saveTransaction', async (txid, blockHash, properties) => saved.push(Object.assign({txid}, properties)));
+	t.mock.method(db, 'commit', async () => 0);
+	t.mock.method(db, 'removeUnconfirmedTransactions', async () => {});
+	const storedOutputs = new Map([['parent:0', 300000000]]);
+	const getOutputValues = t.mock.method(db, 'getOutputValues', async (outputIds) =>
+		new Map(outputIds.filter((outputId) => storedOutputs.has(outputId)).map((outputId) => [outputId, storedOutputs.get(outputId)])));
+
+	let stored = [];
+	t.mock.method(db, 'getUnconfirmedTransactions', async () => stored);
+	let mempool = {a: {time: 1}, gone: {time: 2}, b: {time: 3}};
+	t.mock.method(bitcoin, 'getRawMempool', async () => mempool);
+	const evicted = Object.assign(new Error('No such mempool or blockchain transaction'), {code: bitcoinErrors.RPC_INVALID_ADDRESS_OR_KEY.code});
+	const transactions = {a: transaction('a', ['parent:0'], [2, 0.9999]), gone: evicted, b: transaction('b', ['a:0'], [1.5])};
+	const getRawTransactions = t.mock.method(bitcoin, 'getRawTransactions', async (txids) => txids.map((txid) => transactions[txid]));
+
+	const stats = await worker.processMempool();
+
+	assert.deepStrictEqual(getRawTransactions.mock.calls.map((call) => call.arguments[0]), [['a', 'gone', 'b']]);
+	assert.strictEqual(stats.numTransactions, 2);
+	// Output spent within mempool is found among the new transactions
+	assert.deepStrictEqual(getOutputValues.mock.calls.map((call) => call.arguments[0]), [['parent:0']]);
+	assert.deepStrictEqual(saved.map(({ txid, firstSeen, inputsValue, outputsValue, fee }) => ({txid, firstSeen, inputsValue, outputsValue, fee})), [
+		{txid: 'a', firstSeen: 1, inputsValue: 3, outputsValue: 2.9999, fee: 0.0001},
+		{txid: 'b', firstSeen: 3, inputsValue: 2, outputsValue: 1.5, fee: 0.5}
+	]);
+
+	// Output of stored unconfirmed transaction is looked up in the database, it wasn't cached
+	stored = ['a', 'b'];
+	storedOutputs.set('a:1', 99990000);
+	mempool = {a: {time: 1}, b: {time: 3}, c: {time: 4}};
+	transactions.c = transaction('c', ['a:1'], [0.5]);
+	await worker.processMempool();
+
+	assert.deepStrictEqual(getRawTransactions.mock.calls[1].arguments[0], ['c']);
+	assert.deepStrictEqual(getOutputValues.mock.calls[1].arguments[0], ['a:1']);
+});
+
+test('input values, fees and rewards of fixture chain are computed from outputs of earlier blocks', async (t) => {
+	init('regtest');
+	source.init('fixture', {fixtures: path.join(__dirname, 'fixtures', 'regtest')});
+	const blocks = [];
+	const transactions = new Map();
+	const spends = [];
+	for (const method of ['saveOutput', 'saveOutputToTransaction', 'saveTransactionToOutput', 'saveAddress']) {
+		t.mock.method(db, method, async () => {});
+	}
+	t.mock.method(db, 'saveBlock', async (hash, height, time, txids, properties) => blocks.push(Object.assign({height, txids}, properties)));
+	t.mock.method(db, 'saveTransaction', async (txid, blockHash, properties) => transactions.set(txid, properties));
+	t.mock.method(db, 'saveSpend', async (outputId, txid) => spends.push([outputId, txid]));
+	const getOutputValues = t.mock.method(db, 'getOutputValues', async () => new Map());
+
+	for (let hash = await source.getBlockHash(0); hash;) {
+		hash = (await worker.processBlock(hash)).nextBlockHash;
+	}
+
+	assert.deepStrictEqual(blocks.map(({ height, fees, reward }) => ({height, fees, reward})), [
+		{height: 0, fees: 0, reward: 50},
+		{height: 1, fees: 0, reward: 50},
+		{height: 2, fees: 0, reward: 50},
+		{height: 3, fees: 0.00015, reward: 50.00015},
+		{height: 4, fees: 0.00035, reward: 50.00035}
+	]);
+	// Spent outputs were found in the cache, also the one created in the same block
+	assert.strictEqual(getOutputValues.mock.callCount(), 0);
+	assert.strictEqual(spends.length, 4);
+	const [, spending, spent] = blocks[4].txids;
+	assert.deepStrictEqual(spends[3], [`${spending}:1`, spent]);
+
+	for (const txid of blocks[3].txids.slice(1).concat(blocks[4].txids.slice(1))) {
+		const { inputsValue, outputsValue, fee } = transactions.get(txid);
+		assert.strictEqual(Math.round((inputsValue - outputsValue) * 1e8), Math.round(fee * 1e8));
+	}
+	assert.deepStrictEqual(transactions.get(blocks[3].txids[1]).inputsValue, 100);
+	assert.deepStrictEqual(transactions.get(blocks[3].txids[0]).inputsValue, 50.00015);
+});
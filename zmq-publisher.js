@@ -0,0 +1,43 @@
+#!/usr/bin/env node
+
+'use strict';
+
+// Stand-in for bitcoind's ZMQ publisher which replays recorded block hashes (one per line)
+
+const fs = require('fs');
+
+const commander = require('commander');
+const zmq = require('zeromq');
+
+commander
+	.usage('[options] <file>')
+	.option('-a, --address <address>', 'Address to bind the publisher to', 'tcp://127.0.0.1:28332')
+	.option('-i, --interval <seconds>', 'Interval between notifications', 1)
+	.parse(process.argv);
+
+if (commander.args.length !== 1) {
+	commander.help();
+}
+
+const hashes = fs.readFileSync(commander.args[0], 'utf8')
+	.split('\n')
+	.map((line) => line.trim())
+	.filter((line) => line.length > 0);
+
+const socket = zmq.socket('pub');
+socket.bindSync(commander.address);
+
+let sequence = 0;
+const timer = setInterval(() => {
+	if (sequence >= hashes.length) {
+		clearInterval(timer);
+		socket.close();
+		return;
+	}
+
+	const sequenceBuffer = Buffer.alloc(4);
+	sequenceBuffer.writeUInt32LE(sequence);
+	socket.send(['hashblock', Buffer.from(hashes[sequence], 'hex'), sequenceBuffer]);
+	console.log(`Published block "${hashes[sequence]}"`);
+	sequence++;
+}, commander.interval * 1000);